@@ -1,18 +1,123 @@
-import { eventSource, event_types, characters, selectCharacterById, saveSettingsDebounced, getRequestHeaders } from '../../../../script.js';
-import { renderExtensionTemplateAsync } from '../../../extensions.js';
+import { eventSource, event_types, characters, selectCharacterById, saveSettingsDebounced, getRequestHeaders, getEntitiesList, getCharacters, deleteCharacter, printCharactersDebounced, entitiesFilter, substituteParams, name1, getThumbnailUrl, chat, doNewChat, saveChatConditional, reloadCurrentChat, openCharacterChat, renameCharacter, this_chid } from '../../../../script.js';
+import { renderExtensionTemplateAsync, extension_settings } from '../../../extensions.js';
 import { power_user } from '../../../power-user.js';
+import { tags, tag_map, printTagFilters, addTagsToEntity, removeTagFromEntity, TAG_FOLDER_DEFAULT_TYPE } from '../../../tags.js';
+import { groups, openGroupById, getGroupAvatar, group_activation_strategy, group_generation_mode } from '../../../group-chats.js';
+import { uuidv4, timestampToMoment, copyText, getSanitizedFilename } from '../../../utils.js';
+import { getTokenCountAsync } from '../../../tokenizers.js';
+import { callGenericPopup, Popup, POPUP_TYPE, POPUP_RESULT } from '../../../popup.js';
+import { SlashCommandParser } from '../../../slash-commands/SlashCommandParser.js';
+import { SlashCommand } from '../../../slash-commands/SlashCommand.js';
+import { ARGUMENT_TYPE, SlashCommandArgument } from '../../../slash-commands/SlashCommandArgument.js';
+import { DOMPurify, Fuse, lodash } from '../../../../lib.js';
 
 const extensionName = 'third-party/ST-CharacterPreview';
 const extensionFolder = 'third-party/ST-CharacterPreview';
 
 // Store reference to currently open box and event handler
 let currentBox = null;
-let escapeKeyHandler = null;
+let currentCharacterId = null;
+let currentAvatar = null;
+let keydownHandler = null;
 let drawerWasOpen = false;
 
+// Swipe index of the greeting shown in the popup, as numbered in a new chat's first message
+let selectedGreetingIndex = 0;
+
 // Markdown library reference
 let marked = null;
 
+// Private DOMPurify instance so our hooks don't leak into SillyTavern's own sanitizing
+let purifier = null;
+
+// Tags allowed in rendered card content
+const sanitizeAllowedTags = [
+    'a', 'abbr', 'b', 'blockquote', 'br', 'code', 'del', 'details', 'div', 'em', 'h1', 'h2', 'h3', 'h4',
+    'h5', 'h6', 'hr', 'i', 'img', 'input', 'ins', 'kbd', 'li', 'mark', 'ol', 'p', 'pre', 's', 'small', 'span',
+    'strong', 'sub', 'summary', 'sup', 'table', 'tbody', 'td', 'tfoot', 'th', 'thead', 'tr', 'u', 'ul',
+];
+
+// Attributes allowed in rendered card content
+const sanitizeAllowedAttributes = [
+    'align', 'alt', 'checked', 'class', 'colspan', 'disabled', 'height', 'href', 'open', 'rowspan', 'src', 'start',
+    'title', 'type', 'width',
+];
+
+// Fetched character data keyed by avatar, oldest first (used as an LRU)
+const characterCache = new Map();
+const maxCachedCharacters = 50;
+
+// In-flight fetches keyed by avatar so a prefetch and a click share one request
+const pendingFetches = new Map();
+
+// Returns true while the popup holds unsaved edits; null when not editing
+let unsavedChangesCheck = null;
+let discardPromptOpen = false;
+
+// Controller for the popup's current fetch, aborted when another card is clicked
+let activeRequest = null;
+
+// Timer for the hover prefetch delay
+let prefetchTimer = null;
+
+// Swipe-style greeting sections and how to reach the greetings they are not showing
+const swipeSections = new WeakMap();
+
+// Text the find bar does not search: controls, counters and existing highlights
+const findSkipSelector = 'button, input, textarea, select, .cdp-token-count, mark.cdp-find-hit';
+
+// Card pinned for side-by-side comparison: { characterData, avatar }
+let pinnedCharacter = null;
+
+// Creator the character list is narrowed to, empty for none
+let creatorFilter = '';
+
+// Key of the extension's own filter in SillyTavern's character list filter helper
+const listFilterType = 'character_details_popup';
+
+// Sections and actions added by other extensions through the API
+const registeredSections = new Map();
+const registeredActions = new Set();
+
+// Events emitted on SillyTavern's eventSource for other extensions
+const previewEvents = {
+    OPENED: 'character_preview_opened',
+    CLOSED: 'character_preview_closed',
+    GREETING_CHANGED: 'character_preview_greeting_changed',
+    START_CHAT: 'character_preview_start_chat',
+};
+
+// Statuses a character can have in the personal notes, in display order
+const characterStatuses = {
+    unseen: 'Unseen',
+    previewed: 'Previewed',
+    chatted: 'Chatted',
+    archived: 'Archived',
+};
+
+// Rating and status filter of the character list (-1 rating means unrated only)
+const notesFilter = { rating: 0, status: '' };
+
+// Most entries kept in the recently previewed history
+const maxPreviewHistory = 50;
+
+// Display names of the group activation strategies
+const groupActivationLabels = {
+    [group_activation_strategy.NATURAL]: 'Natural order',
+    [group_activation_strategy.LIST]: 'List order',
+    [group_activation_strategy.MANUAL]: 'Manual',
+    [group_activation_strategy.POOLED]: 'Pooled order',
+};
+
+// Most characters listed when /preview matches several
+const maxPreviewCandidates = 10;
+
+// Word diffs with more token pairs than this mark the changed block as a whole
+const maxDiffCells = 4000000;
+
+// Strings longer than this are cut short in the raw JSON inspector until expanded
+const rawTruncateLength = 500;
+
 // Default tab configuration
 const defaultTabConfig = {
     description:     { order: 0, visible: true, expanded: true },
@@ -21,6 +126,37 @@ const defaultTabConfig = {
     personality:     { order: 3, visible: true, expanded: false },
     creatorNotes:    { order: 4, visible: true, expanded: false },
     exampleMessages: { order: 5, visible: true, expanded: false },
+    lorebook:        { order: 6, visible: true, expanded: false },
+    chats:           { order: 7, visible: true, expanded: false },
+    metadata:        { order: 8, visible: true, expanded: false },
+    systemPrompt:    { order: 9, visible: true, expanded: false },
+    postHistory:     { order: 10, visible: true, expanded: false },
+    depthPrompt:     { order: 11, visible: true, expanded: false },
+    gallery:         { order: 12, visible: true, expanded: false },
+    notes:           { order: 13, visible: true, expanded: false },
+};
+
+// Default footer action configuration
+const defaultActionConfig = {
+    favorite:   { order: 0, visible: true },
+    duplicate:  { order: 1, visible: true },
+    exportPng:  { order: 2, visible: true },
+    exportJson: { order: 3, visible: true },
+    rename:     { order: 4, visible: true },
+    delete:     { order: 5, visible: true },
+    pin:        { order: 6, visible: true },
+};
+
+// Card fields editable from the popup, grouped by the tab that displays them
+const editableFields = {
+    description:     [{ key: 'description', label: 'Description' }],
+    firstMessage:    [{ key: 'first_mes', label: 'First Message' }, { key: 'alternate_greetings', label: 'Alternate Greetings', isList: true }],
+    scenario:        [{ key: 'scenario', label: 'Scenario' }],
+    personality:     [{ key: 'personality', label: 'Personality' }],
+    creatorNotes:    [{ key: 'creator_notes', label: 'Creator Notes' }],
+    exampleMessages: [{ key: 'mes_example', label: 'Example Messages' }],
+    systemPrompt:    [{ key: 'system_prompt', label: 'System Prompt' }],
+    postHistory:     [{ key: 'post_history_instructions', label: 'Post-History Instructions' }],
 };
 
 // Extension settings with defaults
@@ -44,7 +180,16 @@ let extensionSettings = {
     useThemeFontColor: true,
     useThemeBackgroundColor: true,
     useAccordionFirstMessage: false,
+    expandMacros: true,
+    prefetchOnHover: false,
+    tokenBudget: 2000,
+    allowRemoteImages: false,
+    allowInlineStyles: false,
+    customTabs: [],
+    characterNotes: {},
+    previewHistory: [],
     tabConfig: JSON.parse(JSON.stringify(defaultTabConfig)),
+    actionConfig: JSON.parse(JSON.stringify(defaultActionConfig)),
 };
 
 /**
@@ -56,7 +201,7 @@ function log(message) {
 }
 
 /**
- * Load the marked markdown library
+ * Load the marked markdown library bundled with the extension
  */
 async function loadMarkedLibrary() {
     if (marked) {
@@ -64,17 +209,9 @@ async function loadMarkedLibrary() {
     }
 
     try {
-        // Dynamically load marked.js from CDN
-        await new Promise((resolve, reject) => {
-            const script = document.createElement('script');
-            script.src = 'https://cdn.jsdelivr.net/npm/marked@11.1.1/marked.min.js';
-            script.onload = resolve;
-            script.onerror = reject;
-            document.head.appendChild(script);
-        });
-
-        // Access the global marked object
-        marked = window.marked;
+        // Import the vendored copy so rendering works without network access
+        const module = await import('./lib/marked.esm.js');
+        marked = module.marked;
 
         // Configure marked for safe rendering
         marked.setOptions({
@@ -90,24 +227,150 @@ async function loadMarkedLibrary() {
     }
 }
 
+/**
+ * Check whether a URL points outside of the SillyTavern server
+ * @param {string} url - URL to check
+ * @returns {boolean} True if loading the URL would hit a remote host
+ */
+function isRemoteUrl(url) {
+    try {
+        const parsed = new URL(url, window.location.href);
+        if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+            return false;
+        }
+        return parsed.origin !== window.location.origin;
+    } catch {
+        return true;
+    }
+}
+
+/**
+ * Get the private DOMPurify instance, creating it on first use
+ * @returns {Object} DOMPurify instance
+ */
+function getPurifier() {
+    if (purifier) {
+        return purifier;
+    }
+
+    purifier = DOMPurify(window);
+
+    purifier.addHook('uponSanitizeAttribute', (node, data) => {
+        if (data.attrName === 'src' && !extensionSettings.allowRemoteImages && isRemoteUrl(data.attrValue)) {
+            data.keepAttr = false;
+        }
+
+        // Inline styles can still pull remote images through url()
+        if (data.attrName === 'style' && !extensionSettings.allowRemoteImages && /url\s*\(/i.test(data.attrValue)) {
+            data.keepAttr = false;
+        }
+
+        // Only code language classes are kept, so cards can't borrow the popup's or SillyTavern's styling
+        if (data.attrName === 'class') {
+            data.attrValue = data.attrValue.split(/\s+/).filter(name => /^language-[\w-]+$/.test(name)).join(' ');
+        }
+    });
+
+    purifier.addHook('afterSanitizeAttributes', (node) => {
+        if (node.tagName === 'A') {
+            node.setAttribute('target', '_blank');
+            node.setAttribute('rel', 'noopener noreferrer');
+        }
+
+        // Inputs are only allowed as the read-only checkboxes of markdown task lists
+        if (node.tagName === 'INPUT') {
+            node.setAttribute('type', 'checkbox');
+            node.setAttribute('disabled', '');
+        }
+
+        if (node.hasAttribute('class') && !node.getAttribute('class')) {
+            node.removeAttribute('class');
+        }
+    });
+
+    return purifier;
+}
+
+/**
+ * Strip scripts, event handlers and disallowed resources from HTML
+ * @param {string} html - Untrusted HTML string
+ * @returns {{html: string, removed: number}} Sanitized HTML and the number of items stripped
+ */
+function sanitizeHtml(html) {
+    if (!html) return { html: '', removed: 0 };
+
+    const instance = getPurifier();
+    const allowedAttributes = extensionSettings.allowInlineStyles
+        ? [...sanitizeAllowedAttributes, 'style']
+        : sanitizeAllowedAttributes;
+
+    const clean = instance.sanitize(html, {
+        ALLOWED_TAGS: sanitizeAllowedTags,
+        ALLOWED_ATTR: allowedAttributes,
+        ADD_ATTR: ['target', 'rel'],
+    });
+
+    if (instance.removed.length > 0) {
+        log(`Sanitizer removed ${instance.removed.length} item(s)`);
+    }
+
+    return { html: clean, removed: instance.removed.length };
+}
+
+/**
+ * Reveal the "content stripped" notice in the popup containing an element
+ * @param {HTMLElement} element - Any element inside the popup
+ */
+function updateSanitizeNotice(element) {
+    const box = element?.closest('.cdp-box');
+    const notice = box?.querySelector('.cdp-sanitize-notice');
+    if (!notice) return;
+
+    // Each rendered element keeps its own count, so re-rendering one replaces rather than adds to it
+    const strippedCount = [...box.querySelectorAll('.cdp-box__body [data-stripped]')]
+        .reduce((total, rendered) => total + Number(rendered.dataset.stripped), 0);
+
+    notice.hidden = strippedCount === 0;
+    notice.querySelector('.cdp-sanitize-notice__text').textContent =
+        `${strippedCount} unsafe or blocked item(s) were removed from this card's content.`;
+}
+
 /**
  * Convert markdown to HTML safely
  * @param {string} text - The markdown text to convert
- * @returns {string} HTML string
+ * @returns {{html: string, removed: number}} Sanitized HTML and the number of items stripped
  */
 function renderMarkdown(text) {
-    if (!text) return '';
+    if (!text) return { html: '', removed: 0 };
 
     if (!marked) {
-        return text;
+        return sanitizeHtml(text);
     }
 
     try {
-        return marked.parse(text);
+        return sanitizeHtml(marked.parse(text));
     } catch (error) {
         console.error('[Character Details Popup] Markdown parsing error:', error);
-        return text;
+        return sanitizeHtml(text);
+    }
+}
+
+/**
+ * Render markdown into an element and record how much the sanitizer stripped from it
+ * @param {HTMLElement} element - Element to fill
+ * @param {string} text - The markdown text to convert
+ */
+function setMarkdownContent(element, text) {
+    const { html, removed } = renderMarkdown(text);
+    element.innerHTML = html;
+
+    if (removed > 0) {
+        element.dataset.stripped = String(removed);
+    } else {
+        delete element.dataset.stripped;
     }
+
+    updateSanitizeNotice(element);
 }
 
 /**
@@ -134,13 +397,126 @@ function getAllFirstMessages(data) {
     return messages;
 }
 
+/**
+ * Map each entry of getAllFirstMessages() to its swipe index in a new chat
+ * @param {Object} data - Character data object
+ * @returns {number[]} Swipe indices, parallel to getAllFirstMessages()
+ */
+function getFirstMessageSwipeIndices(data) {
+    const indices = [];
+
+    if (data?.first_mes?.trim()) {
+        indices.push(0);
+    }
+
+    // SillyTavern drops an empty first message from the swipes, so alternate greetings then start at swipe 0
+    const offset = data?.first_mes ? 1 : 0;
+
+    (data?.alternate_greetings || []).forEach((alt, index) => {
+        if (alt && alt.trim()) {
+            indices.push(index + offset);
+        }
+    });
+
+    return indices;
+}
+
+/**
+ * Expand SillyTavern macros such as {{char}} and {{user}} in a previewed field
+ * @param {string} text - Raw field text
+ * @param {string} characterName - Name of the previewed character
+ * @returns {string} Text with macros substituted, or the raw text if expansion is off
+ */
+function expandMacros(text, characterName) {
+    if (!text || !extensionSettings.expandMacros) {
+        return text;
+    }
+
+    try {
+        // Card field macros ({{description}} etc.) would resolve against the active chat, so leave them alone
+        return substituteParams(text, name1, characterName, undefined, characterName, false);
+    } catch (error) {
+        console.error('[Character Details Popup] Macro substitution error:', error);
+        return text;
+    }
+}
+
+/**
+ * Roughly estimate the token count of a text
+ * @param {string} text - Text to measure
+ * @returns {number} Estimated token count
+ */
+function estimateTokens(text) {
+    // Same characters-per-token ratio SillyTavern uses for its own estimates
+    return text ? Math.ceil(text.length / 3.35) : 0;
+}
+
+/**
+ * Count tokens with the tokenizer SillyTavern has configured for the current API
+ * @param {string} text - Text to measure
+ * @returns {Promise<number>} Token count
+ */
+async function countTokens(text) {
+    if (!text) {
+        return 0;
+    }
+
+    try {
+        // Falls back to SillyTavern's own estimate when the tokenizer is unavailable
+        return await getTokenCountAsync(text);
+    } catch (error) {
+        console.warn('[Character Details Popup] Token counting failed, using estimate:', error);
+        return estimateTokens(text);
+    }
+}
+
+/**
+ * Format a token count for display
+ * @param {number} count - Result of countTokens()
+ * @returns {string} Display text
+ */
+function formatTokenCount(count) {
+    return `${count.toLocaleString()} tokens`;
+}
+
+/**
+ * Create a token count badge that fills itself in once counting finishes
+ * @param {string} text - Text to measure
+ * @returns {HTMLElement} Token count element
+ */
+function createTokenCount(text) {
+    const span = document.createElement('span');
+    span.className = 'cdp-token-count';
+    setTokenCount(span, text);
+    return span;
+}
+
+/**
+ * Count a text's tokens into an existing token count element
+ * @param {HTMLElement} span - Token count element
+ * @param {string} text - Text to measure
+ */
+function setTokenCount(span, text) {
+    const request = String(Number(span.dataset.request ?? 0) + 1);
+    span.dataset.request = request;
+    span.textContent = '…';
+
+    countTokens(text).then(count => {
+        // A newer count may have been requested while this one ran
+        if (span.dataset.request === request) {
+            span.textContent = formatTokenCount(count);
+        }
+    });
+}
+
 /**
  * Create first message section with swipe navigation
  * @param {string[]} messages - Array of first messages
+ * @param {number[]} swipeIndices - Swipe index of each message
  * @param {boolean} expanded - Whether section is open by default
  * @returns {HTMLElement} Details element with swipe navigation
  */
-function createSwipeFirstMessageSection(messages, expanded) {
+function createSwipeFirstMessageSection(messages, swipeIndices, expanded) {
     const details = document.createElement('details');
     details.className = 'cdp-collapsible';
     details.open = expanded;
@@ -171,24 +547,36 @@ function createSwipeFirstMessageSection(messages, expanded) {
 
         nav.appendChild(leftArrow);
         nav.appendChild(rightArrow);
+
+        const tokenCount = createTokenCount('');
+
         summary.appendChild(titleSpan);
+        summary.appendChild(tokenCount);
         summary.appendChild(nav);
 
-        let currentIndex = 0;
+        let currentIndex = Math.max(swipeIndices.indexOf(selectedGreetingIndex), 0);
 
         const content = document.createElement('div');
         content.className = 'cdp-collapsible__content cdp-markdown-content';
-        content.innerHTML = renderMarkdown(messages[0]);
 
-        const updateDisplay = () => {
-            content.innerHTML = renderMarkdown(messages[currentIndex]);
+        // The first display only shows the starting greeting, it is not a change
+        const updateDisplay = (notify = true) => {
+            if (notify && selectedGreetingIndex !== swipeIndices[currentIndex]) {
+                eventSource.emit(previewEvents.GREETING_CHANGED, { avatar: currentAvatar, greetingIndex: swipeIndices[currentIndex] });
+            }
+
+            selectedGreetingIndex = swipeIndices[currentIndex];
+            setMarkdownContent(content, messages[currentIndex]);
             titleSpan.textContent = `First Message (${currentIndex + 1}/${messages.length})`;
+            setTokenCount(tokenCount, messages[currentIndex]);
 
             leftArrow.classList.toggle('cdp-greeting-nav__arrow--disabled', currentIndex === 0);
             rightArrow.classList.toggle('cdp-greeting-nav__arrow--disabled', currentIndex === messages.length - 1);
             log(`Showing first message ${currentIndex + 1}/${messages.length}`);
         };
 
+        updateDisplay(false);
+
         leftArrow.addEventListener('click', (e) => {
             e.stopPropagation();
             if (currentIndex > 0) {
@@ -205,15 +593,26 @@ function createSwipeFirstMessageSection(messages, expanded) {
             }
         });
 
+        swipeSections.set(details, {
+            messages,
+            getIndex: () => currentIndex,
+            show: (index) => {
+                currentIndex = index;
+                updateDisplay();
+            },
+        });
+
         details.appendChild(summary);
         details.appendChild(content);
     } else {
+        selectedGreetingIndex = swipeIndices[0];
         titleSpan.textContent = 'First Message';
         summary.appendChild(titleSpan);
+        summary.appendChild(createTokenCount(messages[0]));
 
         const content = document.createElement('div');
         content.className = 'cdp-collapsible__content cdp-markdown-content';
-        content.innerHTML = renderMarkdown(messages[0]);
+        setMarkdownContent(content, messages[0]);
 
         details.appendChild(summary);
         details.appendChild(content);
@@ -225,10 +624,11 @@ function createSwipeFirstMessageSection(messages, expanded) {
 /**
  * Create first message section with accordion style
  * @param {string[]} messages - Array of first messages
+ * @param {number[]} swipeIndices - Swipe index of each message
  * @param {boolean} expanded - Whether first section is open by default
  * @returns {DocumentFragment} Fragment with multiple details elements
  */
-function createAccordionFirstMessageSection(messages, expanded) {
+function createAccordionFirstMessageSection(messages, swipeIndices, expanded) {
     const fragment = document.createDocumentFragment();
 
     messages.forEach((message, index) => {
@@ -246,10 +646,19 @@ function createAccordionFirstMessageSection(messages, expanded) {
         } else {
             summary.textContent = 'First Message';
         }
+        summary.appendChild(createTokenCount(message));
 
         const content = document.createElement('div');
         content.className = 'cdp-collapsible__content cdp-markdown-content';
-        content.innerHTML = renderMarkdown(message);
+        setMarkdownContent(content, message);
+
+        // Picked up by the delegated click handler in openBox()
+        const startButton = document.createElement('button');
+        startButton.className = 'cdp-button cdp-button--primary cdp-start-greeting';
+        startButton.type = 'button';
+        startButton.dataset.greetingIndex = String(swipeIndices[index]);
+        startButton.textContent = 'Start with this greeting';
+        content.appendChild(startButton);
 
         details.appendChild(summary);
         details.appendChild(content);
@@ -276,12 +685,13 @@ function createCollapsibleSection(label, content, expanded, useMarkdown = false)
     const summary = document.createElement('summary');
     summary.className = 'cdp-collapsible__summary';
     summary.textContent = label;
+    summary.appendChild(createTokenCount(content));
 
     const contentDiv = document.createElement('div');
     contentDiv.className = 'cdp-collapsible__content' + (useMarkdown ? ' cdp-markdown-content' : '');
 
     if (useMarkdown) {
-        contentDiv.innerHTML = renderMarkdown(content);
+        setMarkdownContent(contentDiv, content);
     } else {
         const textP = document.createElement('p');
         textP.textContent = content;
@@ -295,172 +705,3938 @@ function createCollapsibleSection(label, content, expanded, useMarkdown = false)
 }
 
 /**
- * Create the first message section based on settings
- * @param {Object} data - Character data
- * @param {boolean} expanded - Whether section is open by default
- * @returns {HTMLElement|DocumentFragment|null} First message section or null if no messages
+ * Split an example messages block into dialogues
+ * @param {string} text - Raw mes_example text
+ * @returns {{raw: string, messages: {speaker: string, text: string}[]|null}[]} Parsed dialogues; messages is null when a block could not be parsed
  */
-function createFirstMessageSection(data, expanded = false) {
-    const messages = getAllFirstMessages(data);
-
-    if (messages.length === 0) {
-        log('No first messages found');
-        return null;
-    }
-
-    if (extensionSettings.useAccordionFirstMessage) {
-        log('Using accordion display mode');
-        return createAccordionFirstMessageSection(messages, expanded);
-    } else {
-        log('Using swipe display mode');
-        return createSwipeFirstMessageSection(messages, expanded);
-    }
-}
+function parseExampleMessages(text) {
+    const speakerPattern = /^\s*(\{\{user\}\}|\{\{char\}\}|<user>|<bot>)\s*:\s?(.*)$/i;
+
+    return text
+        .split(/<START>/i)
+        .map(block => block.trim())
+        .filter(block => block)
+        .map(block => {
+            const messages = [];
+            let current = null;
+
+            for (const line of block.split('\n')) {
+                const match = line.match(speakerPattern);
+                if (match) {
+                    const tag = match[1].toLowerCase();
+                    current = {
+                        speaker: tag === '{{user}}' || tag === '<user>' ? 'user' : 'char',
+                        text: match[2],
+                    };
+                    messages.push(current);
+                } else if (current) {
+                    current.text += '\n' + line;
+                } else if (line.trim()) {
+                    // Text before any speaker prefix means we can't attribute it
+                    return { raw: block, messages: null };
+                }
+            }
 
-/**
- * Fetch full character data from the server
- * @param {string} avatarUrl - The avatar filename/URL of the character
- * @returns {Promise<Object>} Full character data object
- */
-async function fetchCharacterData(avatarUrl) {
-    try {
-        const response = await fetch('/api/characters/get', {
-            method: 'POST',
-            headers: getRequestHeaders(),
-            body: JSON.stringify({ avatar_url: avatarUrl }),
+            return { raw: block, messages: messages.length ? messages : null };
         });
-
-        if (!response.ok) {
-            throw new Error(`HTTP error! status: ${response.status}`);
-        }
-
-        const data = await response.json();
-        return data.character || data;
-    } catch (error) {
-        console.error('[Character Details Popup] Failed to fetch character data:', error);
-        throw error;
-    }
 }
 
 /**
- * Close and cleanup the box
+ * Create the example messages section as a chat transcript
+ * @param {string} text - Raw mes_example text
+ * @param {string} characterName - Name of the previewed character
+ * @param {string} avatar - Avatar filename of the previewed character
+ * @param {boolean} expanded - Whether section is open by default
+ * @returns {HTMLElement|null} Details element or null if there are no examples
  */
-function closeBox() {
-    if (currentBox) {
-        currentBox.remove();
-        currentBox = null;
+function createExampleMessagesSection(text, characterName, avatar, expanded) {
+    if (!text || !text.trim()) {
+        return null;
     }
 
-    if (escapeKeyHandler) {
-        document.removeEventListener('keydown', escapeKeyHandler);
-        escapeKeyHandler = null;
+    const dialogues = parseExampleMessages(text);
+    if (dialogues.length === 0) {
+        return null;
     }
 
-    if (drawerWasOpen) {
-        const drawer = document.getElementById('right-nav-panel');
-        if (drawer && drawer.classList.contains('closedDrawer')) {
-            const drawerIcon = document.querySelector('#rightNavDrawerIcon');
-            drawer.classList.remove('closedDrawer');
-            drawer.classList.add('openDrawer');
-            if (drawerIcon) {
-                drawerIcon.classList.remove('closedIcon');
-                drawerIcon.classList.add('openIcon');
-            }
-            log('Restored character panel state');
+    const details = document.createElement('details');
+    details.className = 'cdp-collapsible';
+    details.open = expanded;
+
+    const summary = document.createElement('summary');
+    summary.className = 'cdp-collapsible__summary';
+    summary.textContent = `Example Messages (${dialogues.length})`;
+    summary.appendChild(createTokenCount(expandMacros(text, characterName)));
+
+    const contentDiv = document.createElement('div');
+    contentDiv.className = 'cdp-collapsible__content';
+
+    const userLabel = extensionSettings.expandMacros ? name1 : '{{user}}';
+    const charLabel = extensionSettings.expandMacros ? characterName : '{{char}}';
+
+    dialogues.forEach((dialogue, index) => {
+        const dialogueDiv = document.createElement('div');
+        dialogueDiv.className = 'cdp-example';
+
+        const heading = document.createElement('div');
+        heading.className = 'cdp-example__heading';
+        heading.textContent = dialogue.messages
+            ? `Dialogue ${index + 1} (${dialogue.messages.length} message${dialogue.messages.length === 1 ? '' : 's'})`
+            : `Dialogue ${index + 1} (unparsed)`;
+        dialogueDiv.appendChild(heading);
+
+        if (!dialogue.messages) {
+            const textP = document.createElement('p');
+            textP.className = 'cdp-example__raw';
+            textP.textContent = expandMacros(dialogue.raw, characterName);
+            dialogueDiv.appendChild(textP);
+            contentDiv.appendChild(dialogueDiv);
+            return;
         }
-        drawerWasOpen = false;
-    }
 
-    log('Box closed');
-}
+        for (const message of dialogue.messages) {
+            const isUser = message.speaker === 'user';
 
-/**
- * Open the character box
- * @param {HTMLElement} boxElement - The box element to display
- * @param {number} characterId - The character ID for Start Chat functionality
- */
-function openBox(boxElement, characterId) {
-    closeBox();
+            const row = document.createElement('div');
+            row.className = `cdp-example__message cdp-example__message--${message.speaker}`;
 
-    const drawer = document.getElementById('right-nav-panel');
-    drawerWasOpen = drawer && drawer.classList.contains('openDrawer');
+            if (!isUser && avatar) {
+                const img = document.createElement('img');
+                img.className = 'cdp-example__avatar';
+                img.src = getThumbnailUrl('avatar', avatar);
+                img.alt = characterName;
+                row.appendChild(img);
+            }
 
-    currentBox = boxElement;
-    document.body.appendChild(boxElement);
+            const bubble = document.createElement('div');
+            bubble.className = 'cdp-example__bubble';
 
-    const closeButton = boxElement.querySelector('#cdp-close');
-    if (closeButton) {
-        closeButton.addEventListener('click', function(event) {
-            event.stopPropagation();
-            closeBox();
-        });
-    }
+            const speaker = document.createElement('div');
+            speaker.className = 'cdp-example__speaker';
+            speaker.textContent = isUser ? userLabel : charLabel;
 
-    boxElement.addEventListener('click', function(event) {
-        if (event.target === boxElement) {
-            event.stopPropagation();
-            closeBox();
+            const messageContent = document.createElement('div');
+            messageContent.className = 'cdp-markdown-content';
+            setMarkdownContent(messageContent, expandMacros(message.text.trim(), characterName));
+
+            bubble.appendChild(speaker);
+            bubble.appendChild(messageContent);
+            row.appendChild(bubble);
+            dialogueDiv.appendChild(row);
         }
+
+        contentDiv.appendChild(dialogueDiv);
     });
 
-    escapeKeyHandler = function(event) {
-        if (event.key === 'Escape') {
-            event.stopPropagation();
-            closeBox();
-        }
-    };
-    document.addEventListener('keydown', escapeKeyHandler);
+    details.appendChild(summary);
+    details.appendChild(contentDiv);
 
-    const startChatButton = boxElement.querySelector('#cdp-start-chat');
-    if (startChatButton) {
-        startChatButton.addEventListener('click', function(event) {
-            event.stopPropagation();
-            handleStartChat(characterId);
-        });
-    }
+    log(`Parsed ${dialogues.length} example dialogue(s)`);
+    return details;
+}
 
-    log('Box opened');
+/**
+ * Create a small labelled flag badge
+ * @param {string} text - Badge text
+ * @param {string} [modifier] - BEM modifier for styling
+ * @returns {HTMLElement} Badge element
+ */
+function createBadge(text, modifier) {
+    const badge = document.createElement('span');
+    badge.className = 'cdp-badge' + (modifier ? ` cdp-badge--${modifier}` : '');
+    badge.textContent = text;
+    return badge;
 }
 
 /**
- * Handle Start Chat button click
- * @param {number} characterId - The character ID to load
+ * Create a row of key chips for a lorebook entry
+ * @param {string} label - Row label
+ * @param {string[]} keys - Keys to show
+ * @returns {HTMLElement} Key row element
  */
-async function handleStartChat(characterId) {
-    log(`Starting chat with character ID: ${characterId}`);
+function createLorebookKeyRow(label, keys) {
+    const row = document.createElement('div');
+    row.className = 'cdp-lore-entry__keys';
+
+    const labelSpan = document.createElement('span');
+    labelSpan.className = 'cdp-lore-entry__keys-label';
+    labelSpan.textContent = label;
+    row.appendChild(labelSpan);
+
+    for (const key of keys) {
+        const chip = document.createElement('code');
+        chip.className = 'cdp-lore-entry__key';
+        chip.textContent = key;
+        row.appendChild(chip);
+    }
 
-    closeBox();
+    return row;
+}
 
-    try {
+/**
+ * Create the section listing the entries of an embedded character book
+ * @param {Object} book - character_book object from the card
+ * @param {boolean} expanded - Whether section is open by default
+ * @returns {HTMLElement|null} Details element or null if the card has no book
+ */
+function createLorebookSection(book, expanded) {
+    const entries = Array.isArray(book?.entries) ? book.entries : Object.values(book?.entries ?? {});
+    if (entries.length === 0) {
+        return null;
+    }
+
+    const sortedEntries = [...entries].sort((a, b) => (a.insertion_order ?? 0) - (b.insertion_order ?? 0));
+    const enabledCount = entries.filter(entry => entry.enabled !== false).length;
+    const totalTokens = entries.reduce((sum, entry) => sum + estimateTokens(entry.content ?? ''), 0);
+
+    const details = document.createElement('details');
+    details.className = 'cdp-collapsible';
+    details.open = expanded;
+
+    const summary = document.createElement('summary');
+    summary.className = 'cdp-collapsible__summary';
+    summary.textContent = `Lorebook (${enabledCount}/${entries.length} enabled)`;
+
+    const contentDiv = document.createElement('div');
+    contentDiv.className = 'cdp-collapsible__content';
+
+    const toolbar = document.createElement('div');
+    toolbar.className = 'cdp-lore-toolbar';
+
+    const filterInput = document.createElement('input');
+    filterInput.className = 'cdp-lore-toolbar__filter text_pole';
+    filterInput.type = 'search';
+    filterInput.placeholder = 'Filter by key, title or content…';
+
+    const stats = document.createElement('span');
+    stats.className = 'cdp-lore-toolbar__stats';
+
+    toolbar.appendChild(filterInput);
+    toolbar.appendChild(stats);
+
+    if (book.name) {
+        const bookName = document.createElement('div');
+        bookName.className = 'cdp-lore-toolbar__name';
+        bookName.textContent = book.name;
+        contentDiv.appendChild(bookName);
+    }
+
+    contentDiv.appendChild(toolbar);
+
+    const list = document.createElement('div');
+    list.className = 'cdp-lore-list';
+
+    const entryElements = sortedEntries.map((entry) => {
+        const keys = entry.keys ?? entry.key ?? [];
+        const secondaryKeys = entry.secondary_keys ?? entry.keysecondary ?? [];
+        const title = entry.comment || entry.name || keys[0] || `Entry ${entry.id ?? ''}`.trim();
+
+        const entryDetails = document.createElement('details');
+        entryDetails.className = 'cdp-lore-entry';
+        entryDetails.classList.toggle('cdp-lore-entry--disabled', entry.enabled === false);
+
+        const entrySummary = document.createElement('summary');
+        entrySummary.className = 'cdp-lore-entry__summary';
+
+        const titleSpan = document.createElement('span');
+        titleSpan.className = 'cdp-lore-entry__title';
+        titleSpan.textContent = title;
+        entrySummary.appendChild(titleSpan);
+
+        entrySummary.appendChild(createBadge(entry.enabled === false ? 'disabled' : 'enabled', entry.enabled === false ? 'muted' : 'ok'));
+        if (entry.constant) {
+            entrySummary.appendChild(createBadge('constant', 'info'));
+        }
+        entrySummary.appendChild(createBadge(`order ${entry.insertion_order ?? 0}`));
+        entrySummary.appendChild(createBadge(`~${estimateTokens(entry.content ?? '')} tokens`));
+
+        const body = document.createElement('div');
+        body.className = 'cdp-lore-entry__body';
+
+        if (keys.length) {
+            body.appendChild(createLorebookKeyRow('Keys', keys));
+        }
+        if (secondaryKeys.length) {
+            body.appendChild(createLorebookKeyRow('Secondary', secondaryKeys));
+        }
+
+        const text = document.createElement('p');
+        text.className = 'cdp-lore-entry__content';
+        text.textContent = entry.content ?? '';
+        body.appendChild(text);
+
+        entryDetails.appendChild(entrySummary);
+        entryDetails.appendChild(body);
+        list.appendChild(entryDetails);
+
+        const searchText = [title, ...keys, ...secondaryKeys, entry.content ?? ''].join('\n').toLowerCase();
+        return { element: entryDetails, searchText };
+    });
+
+    const applyFilter = () => {
+        const query = filterInput.value.trim().toLowerCase();
+        let shown = 0;
+
+        for (const { element, searchText } of entryElements) {
+            const match = !query || searchText.includes(query);
+            element.hidden = !match;
+            if (match) shown++;
+        }
+
+        stats.textContent = `${shown} of ${entries.length} entries · ~${totalTokens.toLocaleString()} tokens total`;
+    };
+
+    filterInput.addEventListener('input', applyFilter);
+    applyFilter();
+
+    contentDiv.appendChild(list);
+    details.appendChild(summary);
+    details.appendChild(contentDiv);
+
+    log(`Lorebook with ${entries.length} entries`);
+    return details;
+}
+
+/**
+ * Fetch the saved chats of a character, most recent first
+ * @param {string} avatar - Avatar filename of the character
+ * @returns {Promise<Object[]>} Chat summaries ({ file_name, chat_items, last_mes, mes })
+ */
+async function fetchCharacterChats(avatar) {
+    const response = await fetch('/api/characters/chats', {
+        method: 'POST',
+        headers: getRequestHeaders(),
+        body: JSON.stringify({ avatar_url: avatar }),
+    });
+
+    if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+    }
+
+    const data = await response.json();
+    if (!data || data.error) {
+        return [];
+    }
+
+    return Object.values(data)
+        .sort((a, b) => timestampToMoment(b.last_mes).valueOf() - timestampToMoment(a.last_mes).valueOf());
+}
+
+/**
+ * Announce a chat the popup has opened and mark the character as chatted, whichever control started it
+ * @param {number} characterId - The character ID the chat is with
+ * @param {number|null} greetingIndex - Swipe index of the greeting, null when opening a saved chat
+ * @param {string|null} [chatFile] - Name of the saved chat being opened, without .jsonl
+ */
+function markChatStarted(characterId, greetingIndex, chatFile = null) {
+    const avatar = characters[characterId]?.avatar;
+    eventSource.emit(previewEvents.START_CHAT, { avatar, characterId, greetingIndex, chatFile });
+    advanceCharacterStatus(avatar, 'chatted', ['unseen', 'previewed']);
+}
+
+/**
+ * Close the popup and open one of the character's saved chats
+ * @param {string} avatar - Avatar filename of the character
+ * @param {string} fileName - Chat file name, with or without .jsonl
+ */
+async function openChatFromPopup(avatar, fileName) {
+    const characterId = getCharacterIdByAvatar(avatar);
+    if (characterId === -1) return;
+
+    const chatName = fileName.replace(/\.jsonl$/, '');
+    closeBox();
+
+    try {
         await selectCharacterById(String(characterId));
-        log('Chat started');
+        await openCharacterChat(chatName);
+        markChatStarted(characterId, null, chatName);
+        log(`Opened chat ${fileName}`);
     } catch (error) {
-        console.error('[Character Details Popup] Unable to start chat:', error);
+        console.error('[Character Details Popup] Unable to open chat:', error);
+    }
+}
+
+/**
+ * Close the popup and start a fresh chat, leaving existing chats untouched
+ * @param {string} avatar - Avatar filename of the character
+ */
+async function startNewChatFromPopup(avatar) {
+    const characterId = getCharacterIdByAvatar(avatar);
+    if (characterId === -1) return;
+
+    const greetingIndex = selectedGreetingIndex;
+    closeBox();
+
+    try {
+        // Selecting a character without chats already creates one, otherwise it opens the latest chat
+        await selectCharacterById(String(characterId));
+        const isFreshChat = chat.length <= 1 && !chat.some(message => message.is_user);
+        if (!isFreshChat) {
+            await doNewChat({ deleteCurrentChat: false });
+        }
+
+        if (greetingIndex > 0) {
+            await applyGreeting(greetingIndex);
+        }
+
+        markChatStarted(characterId, greetingIndex);
+        log('Started new chat');
+    } catch (error) {
+        console.error('[Character Details Popup] Unable to start new chat:', error);
+    }
+}
+
+/**
+ * Create one row of the chat list
+ * @param {Object} chatInfo - Chat summary from fetchCharacterChats()
+ * @param {string} avatar - Avatar filename of the character
+ * @returns {HTMLElement} Row element
+ */
+function createChatRow(chatInfo, avatar) {
+    const row = document.createElement('div');
+    row.className = 'cdp-chat-row';
+
+    const info = document.createElement('div');
+    info.className = 'cdp-chat-row__info';
+
+    const fileName = document.createElement('div');
+    fileName.className = 'cdp-chat-row__name';
+    fileName.textContent = String(chatInfo.file_name ?? '').replace(/\.jsonl$/, '');
+
+    const lastDate = timestampToMoment(chatInfo.last_mes);
+    const meta = document.createElement('div');
+    meta.className = 'cdp-chat-row__meta';
+    meta.textContent = [
+        `${Number(chatInfo.chat_items) || 0} messages`,
+        lastDate.isValid() ? lastDate.format('LL LT') : chatInfo.last_mes,
+    ].filter(part => part).join(' · ');
+
+    const preview = document.createElement('div');
+    preview.className = 'cdp-chat-row__preview';
+    preview.textContent = String(chatInfo.mes ?? '').slice(0, 200);
+
+    info.appendChild(fileName);
+    info.appendChild(meta);
+    info.appendChild(preview);
+
+    const openButton = document.createElement('button');
+    openButton.className = 'cdp-button cdp-button--secondary';
+    openButton.type = 'button';
+    openButton.textContent = 'Open';
+    openButton.addEventListener('click', (e) => {
+        e.stopPropagation();
+        openChatFromPopup(avatar, chatInfo.file_name);
+    });
+
+    row.appendChild(info);
+    row.appendChild(openButton);
+    return row;
+}
+
+/**
+ * Create the section listing the character's saved chats, loaded when first opened
+ * @param {string} avatar - Avatar filename of the character
+ * @param {boolean} expanded - Whether section is open by default
+ * @returns {HTMLElement|null} Details element or null without an avatar
+ */
+function createChatsSection(avatar, expanded) {
+    if (!avatar) {
+        return null;
+    }
+
+    const details = document.createElement('details');
+    details.className = 'cdp-collapsible';
+    details.open = expanded;
+
+    const summary = document.createElement('summary');
+    summary.className = 'cdp-collapsible__summary';
+    summary.textContent = 'Chats';
+
+    const contentDiv = document.createElement('div');
+    contentDiv.className = 'cdp-collapsible__content';
+
+    const newChatButton = document.createElement('button');
+    newChatButton.className = 'cdp-button cdp-button--primary cdp-chats__new';
+    newChatButton.type = 'button';
+    newChatButton.textContent = 'Start new chat';
+
+    const list = document.createElement('div');
+    list.className = 'cdp-chats';
+
+    contentDiv.appendChild(newChatButton);
+    contentDiv.appendChild(list);
+    details.appendChild(summary);
+    details.appendChild(contentDiv);
+
+    newChatButton.addEventListener('click', (e) => {
+        e.stopPropagation();
+        startNewChatFromPopup(avatar);
+    });
+
+    let loaded = false;
+    const load = async () => {
+        if (loaded) return;
+        loaded = true;
+        list.textContent = 'Loading chats…';
+
+        try {
+            const chats = await fetchCharacterChats(avatar);
+            summary.textContent = `Chats (${chats.length})`;
+            list.innerHTML = '';
+
+            if (chats.length === 0) {
+                list.textContent = 'No saved chats yet.';
+                return;
+            }
+
+            for (const chatInfo of chats) {
+                list.appendChild(createChatRow(chatInfo, avatar));
+            }
+            log(`Listed ${chats.length} chat(s) for ${avatar}`);
+        } catch (error) {
+            console.error('[Character Details Popup] Failed to load chats:', error);
+            list.textContent = 'Failed to load chats.';
+            loaded = false;
+        }
+    };
+
+    if (expanded) {
+        load();
+    }
+    details.addEventListener('toggle', () => {
+        if (details.open) load();
+    });
+
+    return details;
+}
+
+/**
+ * List the images in a character's user gallery
+ * @param {string} avatar - Avatar filename of the character
+ * @param {string} name - Character name, the default gallery folder
+ * @returns {Promise<Array<{url: string, label: string}>>} Gallery images
+ */
+async function fetchGalleryImages(avatar, name) {
+    const folder = extension_settings.gallery?.folders?.[avatar] ?? name;
+
+    const response = await fetch('/api/images/list', {
+        method: 'POST',
+        headers: getRequestHeaders(),
+        body: JSON.stringify({ folder }),
+    });
+
+    if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+    }
+
+    // The server stores images under the sanitized folder name, the same way SillyTavern's gallery links them
+    const [files, storedFolder] = await Promise.all([response.json(), getSanitizedFilename(folder)]);
+    return files.map(file => ({
+        url: `user/images/${encodeURIComponent(storedFolder)}/${encodeURIComponent(file)}`,
+        label: file,
+    }));
+}
+
+/**
+ * List a character's expression sprites
+ * @param {string} avatar - Avatar filename of the character
+ * @param {string} name - Character name, the default sprite folder
+ * @returns {Promise<Array<{url: string, label: string}>>} Sprite images
+ */
+async function fetchExpressionSprites(avatar, name) {
+    // The expressions extension lets a character use another sprite folder
+    const avatarName = avatar.replace(/\.[^/.]+$/, '');
+    const folder = extension_settings.expressionOverrides?.find(override => override.name === avatarName)?.path || name;
+
+    const response = await fetch(`/api/sprites/get?name=${encodeURIComponent(folder)}`, {
+        headers: getRequestHeaders(),
+    });
+
+    if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+    }
+
+    const sprites = await response.json();
+    return sprites.map(sprite => ({ url: sprite.path, label: sprite.label }));
+}
+
+/**
+ * Show images full screen, with zoom and keyboard navigation
+ * @param {Array<{url: string, label: string}>} images - Images to browse
+ * @param {number} startIndex - Image shown first
+ */
+function openLightbox(images, startIndex) {
+    let index = startIndex;
+    // 0 fits the image to the screen, otherwise a multiple of its natural size
+    let zoom = 0;
+
+    const lightbox = document.createElement('div');
+    lightbox.className = 'cdp-lightbox';
+    lightbox.tabIndex = -1;
+
+    const stage = document.createElement('div');
+    stage.className = 'cdp-lightbox__stage';
+
+    const image = document.createElement('img');
+    image.className = 'cdp-lightbox__image';
+    image.alt = '';
+    stage.appendChild(image);
+
+    const caption = document.createElement('div');
+    caption.className = 'cdp-lightbox__caption';
+
+    const createButton = (className, icon, title) => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = `cdp-lightbox__button ${className}`;
+        button.title = title;
+        button.setAttribute('aria-label', title);
+        button.innerHTML = `<i class="fa-solid ${icon}"></i>`;
+        return button;
+    };
+
+    const prevButton = createButton('cdp-lightbox__prev', 'fa-chevron-left', 'Previous (Left)');
+    const nextButton = createButton('cdp-lightbox__next', 'fa-chevron-right', 'Next (Right)');
+    const closeButton = createButton('cdp-lightbox__close', 'fa-xmark', 'Close (Escape)');
+
+    lightbox.appendChild(stage);
+    lightbox.appendChild(caption);
+    lightbox.appendChild(prevButton);
+    lightbox.appendChild(nextButton);
+    lightbox.appendChild(closeButton);
+
+    const applyZoom = () => {
+        image.classList.toggle('cdp-lightbox__image--zoomed', zoom > 0);
+        image.style.width = zoom > 0 ? `${Math.round(image.naturalWidth * zoom)}px` : '';
+        caption.textContent = `${images[index].label} (${index + 1}/${images.length})${zoom > 0 ? ` · ${Math.round(zoom * 100)}%` : ''}`;
+    };
+
+    const show = (newIndex) => {
+        index = (newIndex + images.length) % images.length;
+        zoom = 0;
+        image.src = images[index].url;
+        prevButton.hidden = images.length < 2;
+        nextButton.hidden = images.length < 2;
+        applyZoom();
+    };
+
+    const zoomBy = (factor) => {
+        const fitted = image.naturalWidth ? image.clientWidth / image.naturalWidth : 1;
+        zoom = Math.min((zoom || fitted) * factor, 8);
+        if (zoom <= fitted) {
+            zoom = 0;
+        }
+        applyZoom();
+    };
+
+    const close = () => {
+        window.removeEventListener('keydown', keyHandler, true);
+        lightbox.remove();
+    };
+
+    // Runs before the popup's own handler so Escape and the arrows only affect the lightbox
+    const keyHandler = (event) => {
+        const actions = {
+            Escape: close,
+            ArrowLeft: () => show(index - 1),
+            ArrowRight: () => show(index + 1),
+            '+': () => zoomBy(1.25),
+            '=': () => zoomBy(1.25),
+            '-': () => zoomBy(0.8),
+            '0': () => {
+                zoom = 0;
+                applyZoom();
+            },
+        };
+
+        const action = actions[event.key];
+        if (action) {
+            event.preventDefault();
+            event.stopImmediatePropagation();
+            action();
+        }
+    };
+
+    image.addEventListener('load', applyZoom);
+    image.addEventListener('click', (e) => {
+        e.stopPropagation();
+        zoom = zoom > 0 ? 0 : 1;
+        applyZoom();
+    });
+    stage.addEventListener('wheel', (e) => {
+        e.preventDefault();
+        zoomBy(e.deltaY < 0 ? 1.25 : 0.8);
+    }, { passive: false });
+    stage.addEventListener('click', (e) => {
+        if (e.target === stage) close();
+    });
+    prevButton.addEventListener('click', (e) => {
+        e.stopPropagation();
+        show(index - 1);
+    });
+    nextButton.addEventListener('click', (e) => {
+        e.stopPropagation();
+        show(index + 1);
+    });
+    closeButton.addEventListener('click', (e) => {
+        e.stopPropagation();
+        close();
+    });
+
+    window.addEventListener('keydown', keyHandler, true);
+    document.body.appendChild(lightbox);
+    lightbox.focus();
+    show(startIndex);
+}
+
+/**
+ * Create a lazy-loaded thumbnail grid that opens the lightbox
+ * @param {string} title - Heading above the grid
+ * @param {Array<{url: string, label: string}>} images - Images to show
+ * @returns {HTMLElement} Grid group element
+ */
+function createGalleryGrid(title, images) {
+    const group = document.createElement('div');
+    group.className = 'cdp-gallery__group';
+
+    const heading = document.createElement('div');
+    heading.className = 'cdp-gallery__title';
+    heading.textContent = `${title} (${images.length})`;
+    group.appendChild(heading);
+
+    const grid = document.createElement('div');
+    grid.className = 'cdp-gallery';
+
+    images.forEach((image, index) => {
+        const item = document.createElement('button');
+        item.type = 'button';
+        item.className = 'cdp-gallery__item';
+        item.title = image.label;
+
+        const img = document.createElement('img');
+        img.loading = 'lazy';
+        img.src = image.url;
+        img.alt = image.label;
+
+        item.appendChild(img);
+        item.addEventListener('click', (e) => {
+            e.stopPropagation();
+            openLightbox(images, index);
+        });
+        grid.appendChild(item);
+    });
+
+    group.appendChild(grid);
+    return group;
+}
+
+/**
+ * Create the gallery section, loaded the first time it is opened
+ * @param {string} avatar - Avatar filename of the character
+ * @param {string} name - Character name
+ * @param {boolean} expanded - Whether section is open by default
+ * @returns {HTMLElement|null} Details element or null without an avatar
+ */
+function createGallerySection(avatar, name, expanded) {
+    if (!avatar) {
+        return null;
+    }
+
+    const details = document.createElement('details');
+    details.className = 'cdp-collapsible';
+    details.open = expanded;
+
+    const summary = document.createElement('summary');
+    summary.className = 'cdp-collapsible__summary';
+    summary.textContent = 'Gallery';
+
+    const contentDiv = document.createElement('div');
+    contentDiv.className = 'cdp-collapsible__content';
+
+    details.appendChild(summary);
+    details.appendChild(contentDiv);
+
+    let loaded = false;
+    const load = async () => {
+        if (loaded) return;
+        loaded = true;
+        contentDiv.textContent = 'Loading images…';
+
+        const [gallery, sprites] = await Promise.allSettled([
+            fetchGalleryImages(avatar, name),
+            fetchExpressionSprites(avatar, name),
+        ]);
+
+        contentDiv.innerHTML = '';
+        let total = 0;
+
+        for (const [title, result] of [['Gallery', gallery], ['Expressions', sprites]]) {
+            if (result.status === 'rejected') {
+                console.error(`[Character Details Popup] Failed to load ${title.toLowerCase()}:`, result.reason);
+                continue;
+            }
+
+            if (result.value.length) {
+                total += result.value.length;
+                contentDiv.appendChild(createGalleryGrid(title, result.value));
+            }
+        }
+
+        summary.textContent = `Gallery (${total})`;
+
+        if (gallery.status === 'rejected' && sprites.status === 'rejected') {
+            contentDiv.textContent = 'Failed to load images.';
+            loaded = false;
+        } else if (total === 0) {
+            contentDiv.textContent = 'No gallery images or expression sprites.';
+        }
+
+        log(`Listed ${total} image(s) for ${avatar}`);
+    };
+
+    if (expanded) {
+        load();
+    }
+    details.addEventListener('toggle', () => {
+        if (details.open) load();
+    });
+
+    return details;
+}
+
+/**
+ * Work out which character card spec version a card uses
+ * @param {Object} characterData - Full character object
+ * @returns {string} 'V1', 'V2' or 'V3'
+ */
+function getCardSpecVersion(characterData) {
+    switch (characterData?.spec) {
+        case 'chara_card_v3':
+            return 'V3';
+        case 'chara_card_v2':
+            return 'V2';
+        default:
+            return 'V1';
+    }
+}
+
+/**
+ * Close the popup and narrow the character list to one creator's cards
+ * @param {string} creator - Creator name
+ */
+function filterCharactersByCreator(creator) {
+    closeBox();
+    setCreatorFilter(creator);
+}
+
+/**
+ * Change the creator the character list is narrowed to and show it above the list
+ * @param {string} creator - Creator name, empty to clear the filter
+ */
+function setCreatorFilter(creator) {
+    creatorFilter = creator;
+    document.querySelector('.cdp-creator-filter')?.remove();
+
+    const characterListContainer = document.getElementById('rm_print_characters_block');
+    if (creator && characterListContainer) {
+        const chip = document.createElement('div');
+        chip.className = 'cdp-creator-filter';
+
+        const label = document.createElement('span');
+        label.textContent = `Creator: ${creator}`;
+
+        const clearButton = document.createElement('button');
+        clearButton.className = 'cdp-creator-filter__clear';
+        clearButton.type = 'button';
+        clearButton.title = 'Show all characters';
+        clearButton.innerHTML = '&times;';
+        clearButton.addEventListener('click', () => setCreatorFilter(''));
+
+        chip.appendChild(label);
+        chip.appendChild(clearButton);
+        characterListContainer.before(chip);
+    }
+
+    updateListFilter();
+    log(creator ? `Filtering character list by creator: ${creator}` : 'Creator filter cleared');
+}
+
+/**
+ * Whether a character list entry passes the extension's own list filters
+ * @param {Object} entity - Entity from SillyTavern's entity list
+ * @returns {boolean} True if the entry should be listed
+ */
+function passesListFilters(entity) {
+    if (creatorFilter) {
+        const creator = entity.item?.data?.creator ?? entity.item?.creator ?? '';
+        if (entity.type !== 'character' || creator.toLowerCase() !== creatorFilter.toLowerCase()) {
+            return false;
+        }
     }
+
+    // Ratings and statuses only exist for characters, so groups and folders stay listed
+    return entity.type !== 'character' || passesNotesFilter(entity.item?.avatar);
+}
+
+/**
+ * Add the extension's list filters to SillyTavern's character list filter while any is active, so paging counts stay correct
+ */
+function updateListFilter() {
+    const active = Boolean(creatorFilter || notesFilter.rating || notesFilter.status);
+
+    if (active) {
+        entitiesFilter.filterFunctions[listFilterType] = (entities) => entities.filter(entity => passesListFilters(entity));
+    } else {
+        delete entitiesFilter.filterFunctions[listFilterType];
+    }
+
+    // The helper redraws the list when its filter data changes
+    entitiesFilter.setFilterData(listFilterType, active ? { creator: creatorFilter, ...notesFilter } : null);
+}
+
+/**
+ * Create the section with card spec and provenance details
+ * @param {Object} characterData - Full character object
+ * @param {string} avatar - Avatar filename of the character
+ * @param {boolean} expanded - Whether section is open by default
+ * @returns {HTMLElement} Details element
+ */
+function createMetadataSection(characterData, avatar, expanded) {
+    const data = characterData?.data ?? characterData ?? {};
+    const extensions = data.extensions ?? {};
+    const specVersion = getCardSpecVersion(characterData);
+
+    const details = document.createElement('details');
+    details.className = 'cdp-collapsible';
+    details.open = expanded;
+
+    const summary = document.createElement('summary');
+    summary.className = 'cdp-collapsible__summary';
+    summary.textContent = 'Metadata ';
+    summary.appendChild(createBadge(`Card ${specVersion}`, 'info'));
+
+    const contentDiv = document.createElement('div');
+    contentDiv.className = 'cdp-collapsible__content';
+
+    const table = document.createElement('table');
+    table.className = 'cdp-meta-table';
+
+    const addRow = (label, value) => {
+        const row = table.insertRow();
+        const keyCell = document.createElement('th');
+        keyCell.textContent = label;
+        const valueCell = row.insertCell();
+        row.prepend(keyCell);
+
+        if (value instanceof Node) {
+            valueCell.appendChild(value);
+        } else {
+            valueCell.textContent = value === undefined || value === null || value === '' ? '—' : String(value);
+        }
+    };
+
+    const creator = data.creator ?? characterData?.creator ?? '';
+    if (creator) {
+        const creatorLink = document.createElement('a');
+        creatorLink.href = '#';
+        creatorLink.className = 'cdp-meta-table__link';
+        creatorLink.title = 'Show characters by this creator';
+        creatorLink.textContent = creator;
+        creatorLink.addEventListener('click', (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            filterCharactersByCreator(creator);
+        });
+        addRow('Creator', creatorLink);
+    } else {
+        addRow('Creator', '');
+    }
+
+    const createDate = characterData?.create_date ? timestampToMoment(characterData.create_date) : null;
+
+    addRow('Version', data.character_version ?? characterData?.character_version);
+    addRow('Spec', characterData?.spec ? `${characterData.spec} ${characterData.spec_version ?? ''}`.trim() : 'chara_card_v1');
+    addRow('Created', createDate?.isValid() ? createDate.toDate().toLocaleString() : characterData?.create_date);
+    addRow('Talkativeness', extensions.talkativeness ?? characterData?.talkativeness);
+    addRow('Favorite', isFavoriteCharacter(characterData) ? 'Yes' : 'No');
+    addRow('Avatar file', avatar);
+
+    const extensionKeys = Object.keys(extensions);
+    if (extensionKeys.length) {
+        const keyList = document.createElement('span');
+        keyList.className = 'cdp-meta-table__keys';
+        for (const key of extensionKeys) {
+            const code = document.createElement('code');
+            code.textContent = key;
+            keyList.appendChild(code);
+        }
+        addRow('Extension data', keyList);
+    } else {
+        addRow('Extension data', '');
+    }
+
+    contentDiv.appendChild(table);
+    details.appendChild(summary);
+    details.appendChild(contentDiv);
+
+    return details;
+}
+
+/**
+ * Create a collapsible section showing content as a code block
+ * @param {string} label - Section header text
+ * @param {string} content - Section content
+ * @param {boolean} expanded - Whether section is open by default
+ * @returns {HTMLElement} Details element
+ */
+function createCodeSection(label, content, expanded) {
+    const details = document.createElement('details');
+    details.className = 'cdp-collapsible';
+    details.open = expanded;
+
+    const summary = document.createElement('summary');
+    summary.className = 'cdp-collapsible__summary';
+    summary.textContent = label;
+    summary.appendChild(createTokenCount(content));
+
+    const contentDiv = document.createElement('div');
+    contentDiv.className = 'cdp-collapsible__content';
+
+    const pre = document.createElement('pre');
+    pre.className = 'cdp-code';
+    const code = document.createElement('code');
+    code.textContent = content;
+    pre.appendChild(code);
+    contentDiv.appendChild(pre);
+
+    details.appendChild(summary);
+    details.appendChild(contentDiv);
+
+    return details;
+}
+
+/**
+ * Create the section for a user-defined tab
+ * @param {Object} customTab - Custom tab definition ({ label, path, renderer })
+ * @param {Object} characterData - Full character object
+ * @param {string} characterName - Name of the previewed character
+ * @param {boolean} expanded - Whether section is open by default
+ * @returns {HTMLElement|null} Details element or null if the path has no value
+ */
+function createCustomTabSection(customTab, characterData, characterName, expanded) {
+    const value = lodash.get(characterData, customTab.path);
+    if (value === undefined || value === null || value === '') {
+        return null;
+    }
+
+    const text = typeof value === 'string' ? value : JSON.stringify(value, null, 2);
+
+    if (customTab.renderer === 'code') {
+        return createCodeSection(customTab.label, text, expanded);
+    }
+
+    return createCollapsibleSection(customTab.label, expandMacros(text, characterName), expanded, customTab.renderer === 'markdown');
+}
+
+/**
+ * Create the section for the character's note injected at a chat depth
+ * @param {Object} depthPrompt - data.extensions.depth_prompt of the card
+ * @param {string} characterName - Name of the previewed character
+ * @param {boolean} expanded - Whether section is open by default
+ * @returns {HTMLElement|null} Details element or null if there is no depth prompt
+ */
+function createDepthPromptSection(depthPrompt, characterName, expanded) {
+    const prompt = depthPrompt?.prompt?.trim();
+    if (!prompt) {
+        return null;
+    }
+
+    const label = `${tabLabels.depthPrompt} (depth ${depthPrompt.depth ?? 4}, ${depthPrompt.role ?? 'system'})`;
+    return createCollapsibleSection(label, expandMacros(prompt, characterName), expanded, false);
+}
+
+/**
+ * Build a lodash-style path for a child of the given path
+ * @param {string} parentPath - Path of the parent node ('' for the root)
+ * @param {string|number} key - Object key or array index
+ * @returns {string} Child path, e.g. data.alternate_greetings[0]
+ */
+function joinJsonPath(parentPath, key) {
+    if (typeof key === 'number') {
+        return `${parentPath}[${key}]`;
+    }
+
+    if (/^[A-Za-z_$][\w$]*$/.test(key)) {
+        return parentPath ? `${parentPath}.${key}` : key;
+    }
+
+    return `${parentPath}[${JSON.stringify(key)}]`;
+}
+
+/**
+ * Copy text to the clipboard and confirm with a toast
+ * @param {string} text - Text to copy
+ * @param {string} what - What was copied, for the toast
+ */
+async function copyToClipboard(text, what) {
+    try {
+        await copyText(text);
+        toastr.success(`Copied ${what} to clipboard.`);
+    } catch (error) {
+        console.error('[Character Details Popup] Failed to copy to clipboard:', error);
+        toastr.error('Could not copy to clipboard.');
+    }
+}
+
+/**
+ * Create the copy buttons shown next to a node of the JSON tree
+ * @param {string} path - Path of the node
+ * @param {*} value - Value of the node
+ * @returns {HTMLElement} Button group
+ */
+function createJsonNodeActions(path, value) {
+    const actions = document.createElement('span');
+    actions.className = 'cdp-json__actions';
+
+    const pathButton = document.createElement('button');
+    pathButton.type = 'button';
+    pathButton.className = 'cdp-json__action fa-solid fa-route';
+    pathButton.title = `Copy path: ${path || '(root)'}`;
+    pathButton.addEventListener('click', (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        copyToClipboard(path, 'path');
+    });
+
+    const valueButton = document.createElement('button');
+    valueButton.type = 'button';
+    valueButton.className = 'cdp-json__action fa-solid fa-copy';
+    valueButton.title = 'Copy value';
+    valueButton.addEventListener('click', (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        copyToClipboard(typeof value === 'string' ? value : JSON.stringify(value, null, 2), 'value');
+    });
+
+    actions.appendChild(pathButton);
+    actions.appendChild(valueButton);
+    return actions;
+}
+
+/**
+ * Create the highlighted display of a primitive JSON value
+ * @param {*} value - String, number, boolean or null
+ * @returns {HTMLElement} Value element, truncated with a toggle when very long
+ */
+function createJsonPrimitive(value) {
+    const span = document.createElement('span');
+
+    if (value === null || value === undefined) {
+        span.className = 'cdp-json__null';
+        span.textContent = 'null';
+        return span;
+    }
+
+    if (typeof value !== 'string') {
+        span.className = `cdp-json__${typeof value}`;
+        span.textContent = String(value);
+        return span;
+    }
+
+    span.className = 'cdp-json__string';
+    const full = JSON.stringify(value);
+
+    if (value.length <= rawTruncateLength) {
+        span.textContent = full;
+        return span;
+    }
+
+    const text = document.createElement('span');
+    text.textContent = `${JSON.stringify(value.slice(0, rawTruncateLength)).slice(0, -1)}…`;
+
+    const toggle = document.createElement('button');
+    toggle.type = 'button';
+    toggle.className = 'cdp-json__truncate';
+    toggle.textContent = `Show all (${value.length.toLocaleString()} chars)`;
+    toggle.addEventListener('click', (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        text.textContent = full;
+        toggle.remove();
+    });
+
+    span.appendChild(text);
+    span.appendChild(toggle);
+    return span;
+}
+
+/**
+ * Create one node of the JSON tree, recursing into objects and arrays
+ * @param {string|number|null} key - Key of the node (null for the root)
+ * @param {*} value - Value of the node
+ * @param {string} path - Path of the node
+ * @param {Array<{element: HTMLElement, text: string}>} index - Receives searchable rows
+ * @returns {HTMLElement} Tree node
+ */
+function createJsonNode(key, value, path, index) {
+    const keyLabel = document.createElement('span');
+    keyLabel.className = 'cdp-json__key';
+    keyLabel.textContent = key === null ? '(root)' : typeof key === 'number' ? `${key}` : JSON.stringify(key);
+
+    if (value !== null && typeof value === 'object') {
+        const isArray = Array.isArray(value);
+        const entries = isArray ? value.map((item, i) => [i, item]) : Object.entries(value);
+
+        const details = document.createElement('details');
+        details.className = 'cdp-json__node';
+        details.open = key === null;
+
+        const summary = document.createElement('summary');
+        summary.className = 'cdp-json__row';
+        summary.appendChild(keyLabel);
+
+        const preview = document.createElement('span');
+        preview.className = 'cdp-json__preview';
+        preview.textContent = isArray ? `[${entries.length}]` : `{${entries.length}}`;
+        summary.appendChild(preview);
+        summary.appendChild(createJsonNodeActions(path, value));
+        details.appendChild(summary);
+
+        const children = document.createElement('div');
+        children.className = 'cdp-json__children';
+        for (const [childKey, childValue] of entries) {
+            children.appendChild(createJsonNode(childKey, childValue, joinJsonPath(path, childKey), index));
+        }
+        details.appendChild(children);
+
+        index.push({ element: summary, text: String(key ?? '').toLowerCase() });
+        return details;
+    }
+
+    const row = document.createElement('div');
+    row.className = 'cdp-json__row cdp-json__leaf';
+    row.appendChild(keyLabel);
+    row.appendChild(document.createTextNode(': '));
+    row.appendChild(createJsonPrimitive(value));
+    row.appendChild(createJsonNodeActions(path, value));
+
+    index.push({ element: row, text: `${key ?? ''}\n${value ?? 'null'}`.toLowerCase() });
+    return row;
+}
+
+/**
+ * Create the raw JSON inspector for a fetched card
+ * @param {Object} characterData - Full character object as returned by the server
+ * @param {string} avatar - Avatar filename, used to name the download
+ * @returns {HTMLElement} Inspector element
+ */
+function createRawInspector(characterData, avatar) {
+    const inspector = document.createElement('div');
+    inspector.className = 'cdp-raw';
+
+    const toolbar = document.createElement('div');
+    toolbar.className = 'cdp-raw__toolbar';
+
+    const search = document.createElement('input');
+    search.type = 'search';
+    search.className = 'text_pole cdp-raw__search';
+    search.placeholder = 'Search keys and values...';
+
+    const matchCount = document.createElement('span');
+    matchCount.className = 'cdp-raw__count';
+
+    const downloadButton = document.createElement('button');
+    downloadButton.type = 'button';
+    downloadButton.className = 'cdp-button cdp-button--secondary cdp-raw__download';
+    downloadButton.innerHTML = '<i class="fa-solid fa-download"></i> Download';
+    downloadButton.addEventListener('click', (e) => {
+        e.stopPropagation();
+        const blob = new Blob([JSON.stringify(characterData, null, 4)], { type: 'application/json' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = (avatar || 'character').replace(/\.png$/i, '.raw.json');
+        link.click();
+        URL.revokeObjectURL(link.href);
+        log(`Downloaded raw JSON for ${avatar}`);
+    });
+
+    toolbar.appendChild(search);
+    toolbar.appendChild(matchCount);
+    toolbar.appendChild(downloadButton);
+
+    const index = [];
+    const tree = document.createElement('div');
+    tree.className = 'cdp-json';
+    tree.appendChild(createJsonNode(null, characterData ?? {}, '', index));
+
+    search.addEventListener('input', () => {
+        const query = search.value.trim().toLowerCase();
+        let matches = 0;
+        let firstMatch = null;
+
+        for (const { element, text } of index) {
+            const isMatch = Boolean(query) && text.includes(query);
+            element.classList.toggle('cdp-json__row--match', isMatch);
+
+            if (!isMatch) {
+                continue;
+            }
+
+            matches++;
+            firstMatch ??= element;
+
+            // Open every collapsed ancestor so the hit is visible
+            let parent = element.parentElement?.closest('details.cdp-json__node');
+            if (element.tagName === 'SUMMARY') {
+                parent = parent?.parentElement?.closest('details.cdp-json__node');
+            }
+            while (parent) {
+                parent.open = true;
+                parent = parent.parentElement?.closest('details.cdp-json__node');
+            }
+        }
+
+        matchCount.textContent = query ? `${matches} match${matches === 1 ? '' : 'es'}` : '';
+        firstMatch?.scrollIntoView({ block: 'nearest' });
+    });
+
+    inspector.appendChild(toolbar);
+    inspector.appendChild(tree);
+
+    return inspector;
+}
+
+/**
+ * Create the first message section based on settings
+ * @param {Object} data - Character data
+ * @param {boolean} expanded - Whether section is open by default
+ * @returns {HTMLElement|DocumentFragment|null} First message section or null if no messages
+ */
+function createFirstMessageSection(data, expanded = false) {
+    const messages = getAllFirstMessages(data).map(message => expandMacros(message, data?.name));
+    const swipeIndices = getFirstMessageSwipeIndices(data);
+
+    if (messages.length === 0) {
+        log('No first messages found');
+        return null;
+    }
+
+    if (extensionSettings.useAccordionFirstMessage) {
+        log('Using accordion display mode');
+        return createAccordionFirstMessageSection(messages, swipeIndices, expanded);
+    } else {
+        log('Using swipe display mode');
+        return createSwipeFirstMessageSection(messages, swipeIndices, expanded);
+    }
+}
+
+/**
+ * Find every occurrence of a query in the text of an element
+ * @param {HTMLElement} root - Element to search
+ * @param {string} query - Lowercase search text
+ * @returns {Array<{node: Text, index: number}>} Matches in document order
+ */
+function findTextMatches(root, query) {
+    const matches = [];
+    const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT, {
+        acceptNode: (node) => node.parentElement?.closest(findSkipSelector)
+            ? NodeFilter.FILTER_REJECT
+            : NodeFilter.FILTER_ACCEPT,
+    });
+
+    while (walker.nextNode()) {
+        const text = walker.currentNode.nodeValue.toLowerCase();
+        let index = text.indexOf(query);
+        while (index !== -1) {
+            matches.push({ node: walker.currentNode, index });
+            index = text.indexOf(query, index + query.length);
+        }
+    }
+
+    return matches;
+}
+
+/**
+ * Wrap every occurrence of a query inside an element in a highlight
+ * @param {HTMLElement} root - Element to search
+ * @param {string} query - Lowercase search text
+ * @returns {HTMLElement[]} Highlight elements in document order
+ */
+function highlightMatches(root, query) {
+    const matches = findTextMatches(root, query);
+    const marks = [];
+
+    // Wrap from the end so earlier offsets in the same text node stay valid
+    for (let i = matches.length - 1; i >= 0; i--) {
+        const { node, index } = matches[i];
+        const hit = node.splitText(index);
+        hit.splitText(query.length);
+
+        const mark = document.createElement('mark');
+        mark.className = 'cdp-find-hit';
+        hit.replaceWith(mark);
+        mark.appendChild(hit);
+        marks.push(mark);
+    }
+
+    return marks.reverse();
+}
+
+/**
+ * Remove all find highlights inside an element
+ * @param {HTMLElement} root - Element to clean up
+ */
+function clearFindHighlights(root) {
+    root.querySelectorAll('mark.cdp-find-hit').forEach(mark => {
+        const parent = mark.parentNode;
+        mark.replaceWith(...mark.childNodes);
+        parent.normalize();
+    });
+}
+
+/**
+ * Count matches in a greeting without showing it
+ * @param {string} message - Greeting text
+ * @param {string} query - Lowercase search text
+ * @returns {number} Number of matches in the rendered greeting
+ */
+function countGreetingMatches(message, query) {
+    const probe = document.createElement('div');
+    probe.innerHTML = renderMarkdown(message).html;
+
+    return findTextMatches(probe, query).length;
+}
+
+/**
+ * Open every details element around a node
+ * @param {Node} node - Node that should become visible
+ * @param {HTMLElement} root - Element to stop at
+ */
+function revealNode(node, root) {
+    let details = node.parentElement?.closest('details');
+    while (details && root.contains(details)) {
+        details.open = true;
+        details = details.parentElement?.closest('details');
+    }
+}
+
+/**
+ * Create the find-in-card bar for a popup body
+ * @param {HTMLElement} body - Popup body holding the rendered sections
+ * @returns {{element: HTMLElement, open: Function, close: Function, refresh: Function}} Find bar and controls
+ */
+function createFindBar(body) {
+    const bar = document.createElement('div');
+    bar.className = 'cdp-find';
+    bar.hidden = true;
+
+    const input = document.createElement('input');
+    input.type = 'search';
+    input.className = 'text_pole cdp-find__input';
+    input.placeholder = 'Find in card...';
+
+    const count = document.createElement('span');
+    count.className = 'cdp-find__count';
+
+    const createButton = (icon, title) => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = `cdp-find__button fa-solid ${icon}`;
+        button.title = title;
+        return button;
+    };
+
+    const prevButton = createButton('fa-chevron-up', 'Previous match (Shift+Enter)');
+    const nextButton = createButton('fa-chevron-down', 'Next match (Enter)');
+    const closeButton = createButton('fa-xmark', 'Close (Escape)');
+
+    bar.appendChild(input);
+    bar.appendChild(count);
+    bar.appendChild(prevButton);
+    bar.appendChild(nextButton);
+    bar.appendChild(closeButton);
+
+    // Each hit is either a highlight on screen or a greeting the swipe view is not showing
+    let hits = [];
+    let current = -1;
+
+    const getQuery = () => input.value.trim().toLowerCase();
+
+    const collectHits = () => {
+        clearFindHighlights(body);
+        hits = [];
+
+        const query = getQuery();
+        if (!query) {
+            return;
+        }
+
+        const sections = [...body.querySelectorAll('details')].filter(details => swipeSections.has(details));
+        const marks = highlightMatches(body, query)
+            .filter(mark => !sections.some(section => section.contains(mark)));
+
+        // Swipe sections list the hits of all their greetings where the section sits
+        const items = [...marks, ...sections].sort((a, b) =>
+            a.compareDocumentPosition(b) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1);
+
+        for (const item of items) {
+            if (!swipeSections.has(item)) {
+                hits.push({ mark: item });
+                revealNode(item, body);
+                continue;
+            }
+
+            const { messages } = swipeSections.get(item);
+            messages.forEach((message, position) => {
+                const occurrences = countGreetingMatches(message, query);
+                for (let occurrence = 0; occurrence < occurrences; occurrence++) {
+                    hits.push({ section: item, position, occurrence });
+                }
+                if (occurrences) {
+                    item.open = true;
+                }
+            });
+        }
+    };
+
+    const goTo = (index, scroll = true) => {
+        body.querySelectorAll('.cdp-find-hit--current').forEach(mark => mark.classList.remove('cdp-find-hit--current'));
+
+        if (hits.length === 0) {
+            current = -1;
+            count.textContent = getQuery() ? 'No matches' : '';
+            return;
+        }
+
+        current = (index + hits.length) % hits.length;
+        const hit = hits[current];
+        let mark = hit.mark;
+
+        if (hit.section) {
+            const swipe = swipeSections.get(hit.section);
+            if (swipe.getIndex() !== hit.position) {
+                swipe.show(hit.position);
+            }
+
+            const sectionContent = hit.section.querySelector('.cdp-collapsible__content');
+            clearFindHighlights(sectionContent);
+            mark = highlightMatches(sectionContent, getQuery())[hit.occurrence];
+        }
+
+        count.textContent = `${current + 1}/${hits.length}`;
+
+        if (mark) {
+            mark.classList.add('cdp-find-hit--current');
+            revealNode(mark, body);
+            if (scroll) {
+                mark.scrollIntoView({ block: 'center' });
+            }
+        }
+    };
+
+    const search = () => {
+        collectHits();
+        goTo(0);
+    };
+
+    const open = () => {
+        bar.hidden = false;
+        input.focus();
+        input.select();
+    };
+
+    const close = () => {
+        bar.hidden = true;
+        input.value = '';
+        hits = [];
+        current = -1;
+        count.textContent = '';
+        clearFindHighlights(body);
+    };
+
+    const refresh = () => {
+        if (bar.hidden || !getQuery()) {
+            return;
+        }
+
+        const previous = current;
+        collectHits();
+        goTo(Math.max(Math.min(previous, hits.length - 1), 0), false);
+    };
+
+    input.addEventListener('input', search);
+    input.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') {
+            e.preventDefault();
+            e.stopPropagation();
+            goTo(current + (e.shiftKey ? -1 : 1));
+        } else if (e.key === 'Escape') {
+            // Close the bar first, the popup on the next Escape
+            e.preventDefault();
+            e.stopPropagation();
+            close();
+        }
+    });
+
+    prevButton.addEventListener('click', (e) => {
+        e.stopPropagation();
+        goTo(current - 1);
+    });
+
+    nextButton.addEventListener('click', (e) => {
+        e.stopPropagation();
+        goTo(current + 1);
+    });
+
+    closeButton.addEventListener('click', (e) => {
+        e.stopPropagation();
+        close();
+    });
+
+    return { element: bar, open, close, refresh };
+}
+
+// Plain text of each tab used for comparing two cards; tabs without an entry are not compared
+const compareTextGetters = {
+    description: (data) => data.description ?? '',
+    firstMessage: (data) => getAllFirstMessages(data)
+        .map((message, index) => index === 0 ? message : `--- Alternate greeting ${index} ---\n${message}`)
+        .join('\n\n'),
+    scenario: (data) => data.scenario ?? '',
+    personality: (data) => data.personality ?? '',
+    creatorNotes: (data) => data.creator_notes ?? '',
+    exampleMessages: (data) => data.mes_example ?? '',
+    lorebook: (data) => (data.character_book?.entries ?? [])
+        .map(entry => `[${(entry.keys ?? []).join(', ')}]${entry.comment ? ` ${entry.comment}` : ''}\n${entry.content ?? ''}`)
+        .join('\n\n'),
+    metadata: (data, characterData) => [
+        `Creator: ${data.creator ?? ''}`,
+        `Version: ${data.character_version ?? ''}`,
+        `Spec: ${getCardSpecVersion(characterData)}`,
+        `Tags: ${(data.tags ?? []).join(', ')}`,
+        `Talkativeness: ${data.extensions?.talkativeness ?? characterData?.talkativeness ?? ''}`,
+        `Extension data: ${Object.keys(data.extensions ?? {}).join(', ')}`,
+    ].join('\n'),
+    systemPrompt: (data) => data.system_prompt ?? '',
+    postHistory: (data) => data.post_history_instructions ?? '',
+    depthPrompt: (data) => {
+        const depthPrompt = data.extensions?.depth_prompt;
+        return depthPrompt?.prompt
+            ? `Depth ${depthPrompt.depth ?? 4}, ${depthPrompt.role ?? 'system'}\n${depthPrompt.prompt}`
+            : '';
+    },
+};
+
+/**
+ * Get the text of a tab for comparison
+ * @param {string} tabId - Tab ID from the tab configuration
+ * @param {Object} characterData - Full character object
+ * @returns {string|null} Text of the tab, or null if the tab can't be compared
+ */
+function getCompareText(tabId, characterData) {
+    const data = characterData?.data ?? characterData ?? {};
+
+    const customTab = extensionSettings.customTabs.find(tab => tab.id === tabId);
+    if (customTab) {
+        const value = lodash.get(characterData, customTab.path);
+        if (value === undefined || value === null) {
+            return '';
+        }
+        return typeof value === 'string' ? value : JSON.stringify(value, null, 2);
+    }
+
+    return compareTextGetters[tabId]?.(data, characterData) ?? null;
+}
+
+/**
+ * Compute a word-level diff between two texts
+ * @param {string} oldText - Text of the pinned card
+ * @param {string} newText - Text of the current card
+ * @returns {Array<{type: 'same'|'removed'|'added', text: string}>} Diff operations in order
+ */
+function diffWords(oldText, newText) {
+    const a = oldText.split(/(\s+)/).filter(Boolean);
+    const b = newText.split(/(\s+)/).filter(Boolean);
+    const ops = [];
+
+    const push = (type, text) => {
+        const last = ops[ops.length - 1];
+        if (last?.type === type) {
+            last.text += text;
+        } else {
+            ops.push({ type, text });
+        }
+    };
+
+    // Revisions usually share most of their text, so only diff the part in between
+    let start = 0;
+    while (start < a.length && start < b.length && a[start] === b[start]) {
+        start++;
+    }
+
+    let endA = a.length;
+    let endB = b.length;
+    while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+        endA--;
+        endB--;
+    }
+
+    a.slice(0, start).forEach(word => push('same', word));
+
+    const midA = a.slice(start, endA);
+    const midB = b.slice(start, endB);
+    const n = midA.length;
+    const m = midB.length;
+
+    if (n * m > maxDiffCells) {
+        midA.forEach(word => push('removed', word));
+        midB.forEach(word => push('added', word));
+    } else {
+        // Longest common subsequence lengths of every pair of suffixes
+        const width = m + 1;
+        const table = new Uint32Array((n + 1) * width);
+        for (let i = n - 1; i >= 0; i--) {
+            for (let j = m - 1; j >= 0; j--) {
+                table[i * width + j] = midA[i] === midB[j]
+                    ? table[(i + 1) * width + j + 1] + 1
+                    : Math.max(table[(i + 1) * width + j], table[i * width + j + 1]);
+            }
+        }
+
+        let i = 0;
+        let j = 0;
+        while (i < n && j < m) {
+            if (midA[i] === midB[j]) {
+                push('same', midA[i]);
+                i++;
+                j++;
+            } else if (table[(i + 1) * width + j] >= table[i * width + j + 1]) {
+                push('removed', midA[i++]);
+            } else {
+                push('added', midB[j++]);
+            }
+        }
+        while (i < n) push('removed', midA[i++]);
+        while (j < m) push('added', midB[j++]);
+    }
+
+    a.slice(endA).forEach(word => push('same', word));
+
+    return ops;
+}
+
+/**
+ * Create one side of a diffed field
+ * @param {Array<{type: string, text: string}>} ops - Diff operations from diffWords
+ * @param {'old'|'new'} side - Which card the column shows
+ * @returns {HTMLElement} Column element
+ */
+function createDiffColumn(ops, side) {
+    const column = document.createElement('div');
+    column.className = 'cdp-compare__text';
+
+    const hiddenType = side === 'old' ? 'added' : 'removed';
+    const visibleOps = ops.filter(op => op.type !== hiddenType);
+
+    if (!visibleOps.some(op => op.text.trim())) {
+        column.classList.add('cdp-compare__text--empty');
+        column.textContent = '—';
+        return column;
+    }
+
+    for (const op of visibleOps) {
+        if (op.type === 'same') {
+            column.appendChild(document.createTextNode(op.text));
+            continue;
+        }
+
+        const change = document.createElement(op.type === 'removed' ? 'del' : 'ins');
+        change.className = `cdp-diff cdp-diff--${op.type}`;
+        change.textContent = op.text;
+        column.appendChild(change);
+    }
+
+    return column;
+}
+
+/**
+ * Create the heading of a compare column
+ * @param {Object} characterData - Full character object
+ * @param {string} avatar - Avatar filename
+ * @param {string} caption - Caption under the name
+ * @returns {HTMLElement} Heading element
+ */
+function createCompareHeading(characterData, avatar, caption) {
+    const heading = document.createElement('div');
+    heading.className = 'cdp-compare__card';
+
+    const img = document.createElement('img');
+    img.className = 'cdp-compare__avatar';
+    img.src = getThumbnailUrl('avatar', avatar);
+    img.alt = '';
+
+    const text = document.createElement('div');
+
+    const name = document.createElement('div');
+    name.className = 'cdp-compare__name';
+    name.textContent = characterData?.data?.name ?? characterData?.name ?? avatar;
+
+    const captionDiv = document.createElement('div');
+    captionDiv.className = 'cdp-compare__caption';
+    captionDiv.textContent = caption;
+
+    text.appendChild(name);
+    text.appendChild(captionDiv);
+    heading.appendChild(img);
+    heading.appendChild(text);
+
+    return heading;
+}
+
+/**
+ * Create the side-by-side comparison of the pinned card and the current card
+ * @param {{characterData: Object, avatar: string}} pinned - Pinned card
+ * @param {{characterData: Object, avatar: string}} current - Card shown in the popup
+ * @returns {HTMLElement} Compare view element
+ */
+function createCompareView(pinned, current) {
+    const view = document.createElement('div');
+    view.className = 'cdp-compare';
+
+    const headings = document.createElement('div');
+    headings.className = 'cdp-compare__columns cdp-compare__headings';
+    headings.appendChild(createCompareHeading(pinned.characterData, pinned.avatar, 'Pinned'));
+    headings.appendChild(createCompareHeading(current.characterData, current.avatar, 'Current'));
+    view.appendChild(headings);
+
+    const summary = document.createElement('div');
+    summary.className = 'cdp-compare__summary';
+    view.appendChild(summary);
+
+    const sortedTabs = Object.entries(extensionSettings.tabConfig)
+        .filter(([, cfg]) => cfg.visible)
+        .sort((a, b) => a[1].order - b[1].order);
+
+    const differing = [];
+    let compared = 0;
+
+    for (const [tabId] of sortedTabs) {
+        const oldText = getCompareText(tabId, pinned.characterData);
+        const newText = getCompareText(tabId, current.characterData);
+
+        if (oldText === null || newText === null || (!oldText.trim() && !newText.trim())) {
+            continue;
+        }
+
+        compared++;
+        const differs = oldText !== newText;
+        const label = getTabLabel(tabId);
+
+        const details = document.createElement('details');
+        details.className = 'cdp-collapsible cdp-compare__field';
+        details.open = differs;
+
+        const fieldSummary = document.createElement('summary');
+        fieldSummary.className = 'cdp-collapsible__summary';
+        fieldSummary.textContent = `${label} `;
+        fieldSummary.appendChild(createBadge(differs ? 'differs' : 'same', differs ? 'info' : 'muted'));
+
+        const columns = document.createElement('div');
+        columns.className = 'cdp-collapsible__content cdp-compare__columns';
+
+        const ops = differs ? diffWords(oldText, newText) : [{ type: 'same', text: oldText }];
+        columns.appendChild(createDiffColumn(ops, 'old'));
+        columns.appendChild(createDiffColumn(ops, 'new'));
+
+        details.appendChild(fieldSummary);
+        details.appendChild(columns);
+        view.appendChild(details);
+
+        if (differs) {
+            differing.push({ label, details });
+        }
+    }
+
+    if (differing.length === 0) {
+        summary.textContent = `All ${compared} compared fields are identical.`;
+        return view;
+    }
+
+    summary.textContent = `${differing.length} of ${compared} fields differ: `;
+    differing.forEach(({ label, details }, index) => {
+        const link = document.createElement('a');
+        link.href = '#';
+        link.className = 'cdp-compare__link';
+        link.textContent = label;
+        link.addEventListener('click', (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            details.open = true;
+            details.scrollIntoView({ block: 'start' });
+        });
+
+        summary.appendChild(link);
+        if (index < differing.length - 1) {
+            summary.appendChild(document.createTextNode(', '));
+        }
+    });
+
+    return view;
+}
+
+/**
+ * Pin a card for comparison, or unpin it if it is already pinned
+ * @param {Object} characterData - Full character object the popup was built from
+ * @param {string} avatar - Avatar filename of the character
+ */
+function togglePinnedCharacter(characterData, avatar) {
+    const name = characterData?.data?.name ?? characterData?.name ?? avatar;
+
+    if (pinnedCharacter?.avatar === avatar) {
+        pinnedCharacter = null;
+        toastr.info(`Unpinned ${name}.`);
+    } else {
+        pinnedCharacter = { characterData, avatar };
+        toastr.info(`Pinned ${name}. Open another character and click Compare to see them side by side.`);
+    }
+
+    currentBox?.querySelector('.cdp-box')?.dispatchEvent(new CustomEvent('cdp-pin-change'));
+    log(`Pinned character: ${pinnedCharacter?.avatar ?? 'none'}`);
+}
+
+/**
+ * Fetch full character data from the server
+ * @param {string} avatarUrl - The avatar filename/URL of the character
+ * @param {AbortSignal} [signal] - Signal to cancel the request
+ * @returns {Promise<Object>} Full character data object
+ */
+async function fetchCharacterData(avatarUrl, signal) {
+    try {
+        const response = await fetch('/api/characters/get', {
+            method: 'POST',
+            headers: getRequestHeaders(),
+            body: JSON.stringify({ avatar_url: avatarUrl }),
+            signal,
+        });
+
+        if (!response.ok) {
+            const error = new Error(`HTTP error! status: ${response.status}`);
+            error.status = response.status;
+            error.statusText = response.statusText;
+            throw error;
+        }
+
+        const data = await response.json();
+        return data.character || data;
+    } catch (error) {
+        if (error.name !== 'AbortError') {
+            console.error('[Character Details Popup] Failed to fetch character data:', error);
+        }
+        throw error;
+    }
+}
+
+/**
+ * Get character data from the cache, fetching it if needed
+ * @param {string} avatarUrl - The avatar filename of the character
+ * @param {AbortSignal} [signal] - Signal to cancel a new request
+ * @returns {Promise<Object>} Full character data object
+ */
+async function getCharacterData(avatarUrl, signal) {
+    if (characterCache.has(avatarUrl)) {
+        // Re-insert to mark as most recently used
+        const cached = characterCache.get(avatarUrl);
+        characterCache.delete(avatarUrl);
+        characterCache.set(avatarUrl, cached);
+        log(`Cache hit: ${avatarUrl}`);
+        return cached;
+    }
+
+    // An aborted request may still be registered until its promise settles
+    const pending = pendingFetches.get(avatarUrl);
+    if (pending && !pending.signal?.aborted) {
+        return pending.promise;
+    }
+
+    const request = fetchCharacterData(avatarUrl, signal)
+        .then(data => {
+            // A request no longer registered was invalidated or superseded while in flight, so its data may be stale
+            if (pendingFetches.get(avatarUrl)?.promise !== request) {
+                return data;
+            }
+
+            characterCache.set(avatarUrl, data);
+            while (characterCache.size > maxCachedCharacters) {
+                characterCache.delete(characterCache.keys().next().value);
+            }
+            return data;
+        })
+        .finally(() => {
+            if (pendingFetches.get(avatarUrl)?.promise === request) {
+                pendingFetches.delete(avatarUrl);
+            }
+        });
+
+    pendingFetches.set(avatarUrl, { promise: request, signal });
+    return request;
+}
+
+/**
+ * Drop a character from the cache and refresh the popup if it is showing that character
+ * @param {string} avatarUrl - The avatar filename of the character
+ * @param {string} [newAvatarUrl] - New avatar filename when the character was renamed
+ */
+function invalidateCharacter(avatarUrl, newAvatarUrl) {
+    if (!avatarUrl) return;
+
+    characterCache.delete(avatarUrl);
+    pendingFetches.delete(avatarUrl);
+    log(`Cache invalidated: ${avatarUrl}`);
+
+    if (newAvatarUrl && pinnedCharacter?.avatar === avatarUrl) {
+        pinnedCharacter.avatar = newAvatarUrl;
+    }
+
+    const renamedHistory = newAvatarUrl ? extensionSettings.previewHistory.filter(entry => entry.avatar === avatarUrl) : [];
+    if (renamedHistory.length > 0) {
+        renamedHistory.forEach(entry => entry.avatar = newAvatarUrl);
+        saveSettings();
+    }
+
+    if (newAvatarUrl && extensionSettings.characterNotes[avatarUrl]) {
+        extensionSettings.characterNotes[newAvatarUrl] = extensionSettings.characterNotes[avatarUrl];
+        delete extensionSettings.characterNotes[avatarUrl];
+        saveSettings();
+    }
+
+    if (!currentBox || currentAvatar !== avatarUrl) {
+        return;
+    }
+
+    if (unsavedChangesCheck) {
+        log('Previewed character changed while editing, keeping the editor open');
+        return;
+    }
+
+    const avatar = newAvatarUrl || avatarUrl;
+    const characterId = getCharacterIdByAvatar(avatar);
+
+    if (characterId === -1) {
+        log('Previewed character no longer exists, closing popup');
+        closeBox();
+        return;
+    }
+
+    log('Previewed character changed, re-rendering popup');
+    showCharacterPopup(characterId);
+}
+
+/**
+ * Find the current index of a character in the characters array
+ * @param {string} avatarUrl - The avatar filename of the character
+ * @returns {number} Character ID, or -1 if not found
+ */
+function getCharacterIdByAvatar(avatarUrl) {
+    return characters.findIndex(character => character?.avatar === avatarUrl);
+}
+
+/**
+ * Register SillyTavern event listeners that keep the cache in sync
+ */
+function setupCacheInvalidation() {
+    eventSource.on(event_types.CHARACTER_EDITED, (event) => {
+        invalidateCharacter(event?.detail?.character?.avatar);
+    });
+
+    eventSource.on(event_types.CHARACTER_DELETED, (event) => {
+        invalidateCharacter(event?.character?.avatar);
+    });
+
+    if (event_types.CHARACTER_RENAMED) {
+        eventSource.on(event_types.CHARACTER_RENAMED, (oldAvatar, newAvatar) => {
+            invalidateCharacter(oldAvatar, newAvatar);
+        });
+    }
+}
+
+/**
+ * Close and cleanup the box
+ */
+function closeBox() {
+    if (activeRequest) {
+        activeRequest.abort();
+        activeRequest = null;
+    }
+
+    const closedAvatar = currentAvatar;
+
+    if (currentBox) {
+        currentBox.remove();
+        currentBox = null;
+        eventSource.emit(previewEvents.CLOSED, { avatar: closedAvatar });
+    }
+
+    currentCharacterId = null;
+    currentAvatar = null;
+    unsavedChangesCheck = null;
+
+    if (keydownHandler) {
+        document.removeEventListener('keydown', keydownHandler);
+        keydownHandler = null;
+    }
+
+    if (drawerWasOpen) {
+        const drawer = document.getElementById('right-nav-panel');
+        if (drawer && drawer.classList.contains('closedDrawer')) {
+            const drawerIcon = document.querySelector('#rightNavDrawerIcon');
+            drawer.classList.remove('closedDrawer');
+            drawer.classList.add('openDrawer');
+            if (drawerIcon) {
+                drawerIcon.classList.remove('closedIcon');
+                drawerIcon.classList.add('openIcon');
+            }
+            log('Restored character panel state');
+        }
+        drawerWasOpen = false;
+    }
+
+    log('Box closed');
+}
+
+/**
+ * Get the characters in the order they are listed, with the active search and tag filters applied
+ * @returns {number[]} Character IDs in list order
+ */
+function getCharacterNavigationList() {
+    try {
+        return getEntitiesList({ doFilter: true })
+            .filter(entity => entity.type === 'character')
+            .map(entity => Number(entity.id));
+    } catch (error) {
+        // Fall back to whatever cards are currently rendered
+        console.error('[Character Details Popup] Unable to read entity list:', error);
+        return [...document.querySelectorAll('#rm_print_characters_block .character_select[data-chid]')]
+            .map(card => Number(card.getAttribute('data-chid')));
+    }
+}
+
+/**
+ * Open the previous or next character in the list
+ * @param {number} direction - -1 for previous, 1 for next
+ */
+async function navigateCharacter(direction) {
+    if (currentCharacterId === null) return;
+
+    const list = getCharacterNavigationList();
+    const targetIndex = list.indexOf(currentCharacterId) + direction;
+
+    if (targetIndex < 0 || targetIndex >= list.length) {
+        return;
+    }
+
+    if (!await confirmDiscardChanges()) {
+        return;
+    }
+
+    log(`Navigating ${direction === -1 ? 'back' : 'forward'} to position ${targetIndex + 1}/${list.length}`);
+    await showCharacterPopup(list[targetIndex]);
+}
+
+/**
+ * Update the previous/next buttons and position indicator for the current character
+ * @param {HTMLElement} box - The .cdp-box element
+ */
+function updateNavigationControls(box) {
+    const list = getCharacterNavigationList();
+    const index = list.indexOf(currentCharacterId);
+
+    const prevButton = box.querySelector('#cdp-prev');
+    const nextButton = box.querySelector('#cdp-next');
+    const position = box.querySelector('.cdp-nav__position');
+
+    if (prevButton) prevButton.disabled = index <= 0;
+    if (nextButton) nextButton.disabled = index === -1 || index >= list.length - 1;
+    if (position) position.textContent = index === -1 ? `– / ${list.length}` : `${index + 1} / ${list.length}`;
+}
+
+/**
+ * Attach listeners to the controls inside a box
+ * @param {HTMLElement} box - The .cdp-box element
+ */
+function bindBoxControls(box) {
+    const closeButton = box.querySelector('#cdp-close');
+    if (closeButton) {
+        closeButton.addEventListener('click', function(event) {
+            event.stopPropagation();
+            requestCloseBox();
+        });
+    }
+
+    const startChatButton = box.querySelector('#cdp-start-chat');
+    if (startChatButton) {
+        startChatButton.addEventListener('click', async function(event) {
+            event.stopPropagation();
+            if (await confirmDiscardChanges()) {
+                handleStartChat(currentCharacterId, selectedGreetingIndex);
+            }
+        });
+    }
+
+    const prevButton = box.querySelector('#cdp-prev');
+    if (prevButton) {
+        prevButton.addEventListener('click', function(event) {
+            event.stopPropagation();
+            navigateCharacter(-1);
+        });
+    }
+
+    const nextButton = box.querySelector('#cdp-next');
+    if (nextButton) {
+        nextButton.addEventListener('click', function(event) {
+            event.stopPropagation();
+            navigateCharacter(1);
+        });
+    }
+
+    updateNavigationControls(box);
+}
+
+/**
+ * Ask before throwing away unsaved edits
+ * @returns {Promise<boolean>} True if it is fine to leave the current view
+ */
+async function confirmDiscardChanges() {
+    if (!unsavedChangesCheck || !unsavedChangesCheck()) {
+        return true;
+    }
+
+    discardPromptOpen = true;
+    try {
+        const result = await callGenericPopup('You have unsaved changes to this character. Discard them?', POPUP_TYPE.CONFIRM);
+        return result === POPUP_RESULT.AFFIRMATIVE;
+    } finally {
+        discardPromptOpen = false;
+    }
+}
+
+/**
+ * Close the box after confirming that unsaved edits may be discarded
+ * @returns {Promise<boolean>} True if the box was closed, false if the user kept editing
+ */
+async function requestCloseBox() {
+    if (!await confirmDiscardChanges()) {
+        return false;
+    }
+
+    closeBox();
+    return true;
+}
+
+/**
+ * Open the character box
+ * @param {HTMLElement} boxElement - The box element to display
+ * @param {number} characterId - The character ID for Start Chat functionality
+ */
+function openBox(boxElement, characterId) {
+    currentCharacterId = characterId;
+    currentAvatar = characters[characterId]?.avatar ?? null;
+    unsavedChangesCheck = null;
+
+    // Navigating between characters reuses the open overlay instead of rebuilding it
+    if (currentBox) {
+        const newBox = boxElement.querySelector('.cdp-box');
+        newBox.classList.add('cdp-box--replaced');
+        currentBox.querySelector('.cdp-box').replaceWith(newBox);
+        bindBoxControls(newBox);
+        log('Box content replaced');
+        return;
+    }
+
+    const drawer = document.getElementById('right-nav-panel');
+    drawerWasOpen = drawer && drawer.classList.contains('openDrawer');
+
+    currentBox = boxElement;
+    document.body.appendChild(boxElement);
+
+    boxElement.addEventListener('click', function(event) {
+        if (event.target === boxElement) {
+            event.stopPropagation();
+            requestCloseBox();
+        }
+    });
+
+    keydownHandler = function(event) {
+        // The discard confirmation handles its own keys
+        if (discardPromptOpen) {
+            return;
+        }
+
+        if (event.key === 'Escape') {
+            event.stopPropagation();
+            requestCloseBox();
+            return;
+        }
+
+        // Ctrl+F searches the card instead of the page while the popup is open
+        if ((event.ctrlKey || event.metaKey) && event.key.toLowerCase() === 'f') {
+            const findToggle = currentBox?.querySelector('.cdp-find-toggle');
+            if (findToggle && !findToggle.hidden) {
+                event.preventDefault();
+                event.stopPropagation();
+                findToggle.click();
+            }
+            return;
+        }
+
+        // Leave arrow keys alone while typing
+        if (event.target.closest?.('input, textarea, select, [contenteditable="true"]')) {
+            return;
+        }
+
+        if (event.key === 'ArrowLeft' || event.key === 'ArrowRight') {
+            event.preventDefault();
+            event.stopPropagation();
+            navigateCharacter(event.key === 'ArrowLeft' ? -1 : 1);
+        }
+    };
+    document.addEventListener('keydown', keydownHandler);
+
+    // Greeting buttons are rebuilt with the body, so listen on the overlay
+    boxElement.addEventListener('click', function(event) {
+        const greetingButton = event.target.closest('.cdp-start-greeting');
+        if (greetingButton) {
+            event.stopPropagation();
+            handleStartChat(currentCharacterId, Number(greetingButton.dataset.greetingIndex));
+        }
+    });
+
+    bindBoxControls(boxElement.querySelector('.cdp-box'));
+
+    log('Box opened');
+}
+
+/**
+ * Make the given greeting the active first message of the current chat
+ * @param {number} swipeIndex - Swipe index among the new chat's first message swipes
+ */
+async function applyGreeting(swipeIndex) {
+    // Never rewrite a resumed conversation, open a fresh one for the greeting instead
+    if (chat.length !== 1 || chat[0].is_user) {
+        log('Existing chat has history, starting a new chat for the selected greeting');
+        await doNewChat({ deleteCurrentChat: false });
+    }
+
+    const greeting = chat[0];
+    if (!greeting || !Array.isArray(greeting.swipes) || greeting.swipes[swipeIndex] === undefined) {
+        log(`Greeting ${swipeIndex} not available in chat, keeping default`);
+        return;
+    }
+
+    greeting.swipe_id = swipeIndex;
+    greeting.mes = greeting.swipes[swipeIndex];
+    if (Array.isArray(greeting.swipe_info) && greeting.swipe_info[swipeIndex]) {
+        Object.assign(greeting, greeting.swipe_info[swipeIndex]);
+    }
+
+    await saveChatConditional();
+    await reloadCurrentChat();
+    log(`Applied greeting ${swipeIndex + 1}`);
+}
+
+/**
+ * Handle Start Chat button click
+ * @param {number} characterId - The character ID to load
+ * @param {number} greetingIndex - Swipe index of the greeting to open with
+ */
+async function handleStartChat(characterId, greetingIndex = 0) {
+    log(`Starting chat with character ID: ${characterId}, greeting: ${greetingIndex + 1}`);
+
+    closeBox();
+
+    try {
+        await selectCharacterById(String(characterId));
+
+        if (greetingIndex > 0) {
+            await applyGreeting(greetingIndex);
+        }
+
+        markChatStarted(characterId, greetingIndex);
+        log('Chat started');
+    } catch (error) {
+        console.error('[Character Details Popup] Unable to start chat:', error);
+    }
+}
+
+/**
+ * Create the previous/next character controls for the footer
+ * @returns {HTMLElement} Navigation element
+ */
+function createNavigationControls() {
+    const nav = document.createElement('div');
+    nav.className = 'cdp-nav';
+
+    const prevButton = document.createElement('button');
+    prevButton.id = 'cdp-prev';
+    prevButton.className = 'cdp-nav__button';
+    prevButton.type = 'button';
+    prevButton.title = 'Previous character (Left arrow)';
+    prevButton.innerHTML = '&#9664;';
+
+    const position = document.createElement('span');
+    position.className = 'cdp-nav__position';
+
+    const nextButton = document.createElement('button');
+    nextButton.id = 'cdp-next';
+    nextButton.className = 'cdp-nav__button';
+    nextButton.type = 'button';
+    nextButton.title = 'Next character (Right arrow)';
+    nextButton.innerHTML = '&#9654;';
+
+    nav.appendChild(prevButton);
+    nav.appendChild(position);
+    nav.appendChild(nextButton);
+
+    return nav;
+}
+
+/**
+ * Create a box with the character's avatar and name around a status panel
+ * @param {Object} character - Shallow character entry from the characters array
+ * @param {HTMLElement} panel - Loading or error panel to show in the body
+ * @returns {HTMLElement} Box overlay element
+ */
+function createStatusBox(character, panel) {
+    const overlay = document.createElement('div');
+    overlay.className = 'cdp-box__overlay';
+
+    const box = document.createElement('div');
+    box.className = 'cdp-box';
+
+    const content = document.createElement('div');
+    content.className = 'cdp-box__content';
+
+    const header = document.createElement('div');
+    header.className = 'cdp-box__header';
+
+    if (character?.avatar) {
+        const img = document.createElement('img');
+        img.className = 'cdp-box__image';
+        img.src = getThumbnailUrl('avatar', character.avatar);
+        img.alt = character.name ?? '';
+        header.appendChild(img);
+    }
+
+    const nameHeading = document.createElement('h2');
+    nameHeading.className = 'cdp-box__name';
+    nameHeading.textContent = character?.name ?? 'Unnamed Character';
+    header.appendChild(nameHeading);
+
+    const body = document.createElement('div');
+    body.className = 'cdp-box__body';
+
+    body.appendChild(panel);
+
+    content.appendChild(header);
+    content.appendChild(body);
+    box.appendChild(content);
+
+    const footer = document.createElement('div');
+    footer.className = 'cdp-box__footer';
+
+    const closeButton = document.createElement('button');
+    closeButton.id = 'cdp-close';
+    closeButton.className = 'cdp-button cdp-button--secondary';
+    closeButton.textContent = 'Close';
+
+    footer.appendChild(closeButton);
+    footer.appendChild(createNavigationControls());
+    box.appendChild(footer);
+
+    overlay.appendChild(box);
+
+    return overlay;
+}
+
+/**
+ * Create the skeleton shown while character data loads
+ * @param {Object} character - Shallow character entry from the characters array
+ * @returns {HTMLElement} Box overlay element
+ */
+function createLoadingBox(character) {
+    const panel = document.createElement('div');
+    panel.className = 'cdp-loading';
+    panel.setAttribute('aria-busy', 'true');
+    panel.innerHTML = `
+        <div class="cdp-loading__spinner"><i class="fa-solid fa-spinner fa-spin"></i> Loading character details…</div>
+        <div class="cdp-skeleton cdp-skeleton--title"></div>
+        <div class="cdp-skeleton"></div>
+        <div class="cdp-skeleton"></div>
+        <div class="cdp-skeleton cdp-skeleton--short"></div>
+    `;
+
+    return createStatusBox(character, panel);
+}
+
+/**
+ * Create the panel shown when character data could not be loaded
+ * @param {Object} character - Shallow character entry from the characters array
+ * @param {Error} error - The fetch error
+ * @param {Function} onRetry - Called when Retry is clicked
+ * @returns {HTMLElement} Box overlay element
+ */
+function createErrorBox(character, error, onRetry) {
+    const panel = document.createElement('div');
+    panel.className = 'cdp-error';
+
+    const title = document.createElement('div');
+    title.className = 'cdp-error__title';
+    title.innerHTML = '<i class="fa-solid fa-triangle-exclamation"></i> ';
+    title.append('Failed to load character details');
+
+    const detail = document.createElement('div');
+    detail.className = 'cdp-error__detail';
+    detail.textContent = error?.status
+        ? `The server responded with HTTP ${error.status}${error.statusText ? ` (${error.statusText})` : ''}.`
+        : `Could not reach the server: ${error?.message || 'unknown error'}.`;
+
+    const retryButton = document.createElement('button');
+    retryButton.className = 'cdp-button cdp-button--primary';
+    retryButton.type = 'button';
+    retryButton.textContent = 'Retry';
+    retryButton.addEventListener('click', (event) => {
+        event.stopPropagation();
+        onRetry();
+    });
+
+    panel.appendChild(title);
+    panel.appendChild(detail);
+    panel.appendChild(retryButton);
+
+    return createStatusBox(character, panel);
+}
+
+/**
+ * Build the form data the character edit endpoint expects from a full card
+ * @param {Object} card - Full character object as returned by /api/characters/get
+ * @param {string} avatar - Avatar filename of the character
+ * @returns {FormData} Form data for /api/characters/edit
+ */
+function buildCharacterFormData(card, avatar) {
+    const data = card.data || {};
+    const extensions = data.extensions || {};
+    const depthPrompt = extensions.depth_prompt || {};
+
+    const formData = new FormData();
+    formData.append('avatar_url', avatar);
+    formData.append('ch_name', data.name ?? card.name ?? '');
+    formData.append('description', data.description ?? card.description ?? '');
+    formData.append('personality', data.personality ?? card.personality ?? '');
+    formData.append('scenario', data.scenario ?? card.scenario ?? '');
+    formData.append('first_mes', data.first_mes ?? card.first_mes ?? '');
+    formData.append('mes_example', data.mes_example ?? card.mes_example ?? '');
+    formData.append('creator_notes', data.creator_notes ?? card.creatorcomment ?? '');
+    formData.append('system_prompt', data.system_prompt ?? '');
+    formData.append('post_history_instructions', data.post_history_instructions ?? '');
+    formData.append('creator', data.creator ?? '');
+    formData.append('character_version', data.character_version ?? '');
+    formData.append('tags', (data.tags ?? card.tags ?? []).join(', '));
+    formData.append('talkativeness', String(extensions.talkativeness ?? card.talkativeness ?? 0.5));
+    formData.append('fav', String(extensions.fav ?? card.fav ?? false));
+    formData.append('world', extensions.world ?? '');
+    formData.append('depth_prompt_prompt', depthPrompt.prompt ?? '');
+    formData.append('depth_prompt_depth', String(depthPrompt.depth ?? 4));
+    formData.append('depth_prompt_role', depthPrompt.role ?? 'system');
+    formData.append('chat', card.chat ?? '');
+    formData.append('create_date', card.create_date ?? '');
+    formData.append('extensions', JSON.stringify(extensions));
+    // Lets the server keep fields it doesn't know about (character_book etc.)
+    formData.append('json_data', JSON.stringify(card));
+
+    for (const greeting of data.alternate_greetings ?? []) {
+        formData.append('alternate_greetings', greeting);
+    }
+
+    return formData;
+}
+
+/**
+ * Write changed fields into a character object, keeping V1 and V2 fields in sync
+ * @param {Object} character - Character object to update in place
+ * @param {Object} changes - Field values keyed by V2 field name
+ */
+function applyCharacterChanges(character, changes) {
+    if (!character) return;
+
+    for (const [key, value] of Object.entries(changes)) {
+        if (character.data) {
+            character.data[key] = Array.isArray(value) ? [...value] : value;
+        }
+
+        if (key === 'creator_notes') {
+            character.creatorcomment = value;
+        } else if (key !== 'alternate_greetings') {
+            character[key] = value;
+        }
+    }
+}
+
+/**
+ * Save edited fields through SillyTavern's character edit endpoint
+ * @param {Object} characterData - Full character object the popup was built from
+ * @param {string} avatar - Avatar filename of the character
+ * @param {Object} changes - Field values keyed by V2 field name
+ */
+async function saveCharacterEdits(characterData, avatar, changes) {
+    const card = structuredClone(characterData);
+    applyCharacterChanges(card, changes);
+
+    const response = await fetch('/api/characters/edit', {
+        method: 'POST',
+        headers: getRequestHeaders({ omitContentType: true }),
+        body: buildCharacterFormData(card, avatar),
+        cache: 'no-cache',
+    });
+
+    if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+    }
+
+    // The cache holds the same object the popup renders from
+    applyCharacterChanges(characterData, changes);
+    applyCharacterChanges(characters[getCharacterIdByAvatar(avatar)], changes);
+    log(`Saved ${Object.keys(changes).length} field(s) for ${avatar}`);
+}
+
+/**
+ * Create a textarea sized to its content
+ * @param {string} value - Initial text
+ * @returns {HTMLTextAreaElement} Textarea element
+ */
+function createEditTextarea(value) {
+    const textarea = document.createElement('textarea');
+    textarea.className = 'cdp-edit-field__input text_pole';
+    textarea.value = value ?? '';
+    textarea.rows = Math.min(Math.max(textarea.value.split('\n').length + 1, 3), 20);
+    return textarea;
+}
+
+/**
+ * Create the edit form for all editable fields, in tab order
+ * @param {Object} data - Character data
+ * @returns {{element: HTMLElement, getValues: function(): Object}} Form element and value reader
+ */
+function createEditForm(data) {
+    const form = document.createElement('div');
+    form.className = 'cdp-edit-form';
+
+    const readers = [];
+
+    const sortedTabs = Object.entries(extensionSettings.tabConfig)
+        .sort((a, b) => a[1].order - b[1].order);
+
+    for (const [tabId] of sortedTabs) {
+        for (const field of editableFields[tabId] ?? []) {
+            const fieldDiv = document.createElement('div');
+            fieldDiv.className = 'cdp-edit-field';
+
+            const label = document.createElement('label');
+            label.className = 'cdp-edit-field__label';
+            label.textContent = field.label;
+            fieldDiv.appendChild(label);
+
+            if (field.isList) {
+                const list = document.createElement('div');
+                list.className = 'cdp-edit-list';
+
+                const addItem = (value) => {
+                    const item = document.createElement('div');
+                    item.className = 'cdp-edit-list__item';
+
+                    const removeButton = document.createElement('button');
+                    removeButton.className = 'cdp-edit-list__remove';
+                    removeButton.type = 'button';
+                    removeButton.title = 'Remove';
+                    removeButton.innerHTML = '<i class="fa-solid fa-trash-can"></i>';
+                    removeButton.addEventListener('click', (e) => {
+                        e.stopPropagation();
+                        item.remove();
+                    });
+
+                    item.appendChild(createEditTextarea(value));
+                    item.appendChild(removeButton);
+                    list.appendChild(item);
+                };
+
+                (data?.[field.key] ?? []).forEach(addItem);
+
+                const addButton = document.createElement('button');
+                addButton.className = 'cdp-button cdp-button--secondary cdp-edit-list__add';
+                addButton.type = 'button';
+                addButton.textContent = 'Add alternate greeting';
+                addButton.addEventListener('click', (e) => {
+                    e.stopPropagation();
+                    addItem('');
+                });
+
+                fieldDiv.appendChild(list);
+                fieldDiv.appendChild(addButton);
+                readers.push([field.key, () => [...list.querySelectorAll('textarea')].map(textarea => textarea.value)]);
+            } else {
+                const value = field.key === 'creator_notes'
+                    ? data?.creator_notes ?? data?.creatorcomment
+                    : data?.[field.key];
+                const textarea = createEditTextarea(value);
+                fieldDiv.appendChild(textarea);
+                readers.push([field.key, () => textarea.value]);
+            }
+
+            form.appendChild(fieldDiv);
+        }
+    }
+
+    const getValues = () => Object.fromEntries(readers.map(([key, read]) => [key, read()]));
+
+    return { element: form, getValues };
+}
+
+/**
+ * Check the favorite flag of a character object
+ * @param {Object} character - Character object
+ * @returns {boolean} True if the character is a favorite
+ */
+function isFavoriteCharacter(character) {
+    const fav = character?.data?.extensions?.fav ?? character?.fav;
+    return fav === true || fav === 'true';
+}
+
+/**
+ * Toggle a character's favorite flag
+ * @param {Object} characterData - Full character object the popup was built from
+ * @param {string} avatar - Avatar filename of the character
+ */
+async function toggleFavorite(characterData, avatar) {
+    const fav = !isFavoriteCharacter(characterData);
+
+    const response = await fetch('/api/characters/merge-attributes', {
+        method: 'POST',
+        headers: getRequestHeaders(),
+        body: JSON.stringify({ avatar, fav, data: { extensions: { fav } } }),
+    });
+
+    if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+    }
+
+    for (const character of [characterData, characters[getCharacterIdByAvatar(avatar)]]) {
+        if (!character) continue;
+        character.fav = fav;
+        if (character.data) {
+            character.data.extensions = { ...character.data.extensions, fav };
+        }
+    }
+
+    printCharactersDebounced();
+    log(`Favorite ${fav ? 'set' : 'cleared'} for ${avatar}`);
+}
+
+/**
+ * Duplicate a character
+ * @param {Object} characterData - Full character object the popup was built from
+ * @param {string} avatar - Avatar filename of the character
+ */
+async function duplicateCharacter(characterData, avatar) {
+    const response = await fetch('/api/characters/duplicate', {
+        method: 'POST',
+        headers: getRequestHeaders(),
+        body: JSON.stringify({ avatar_url: avatar }),
+    });
+
+    if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+    }
+
+    const { path } = await response.json();
+    await eventSource.emit(event_types.CHARACTER_DUPLICATED, { oldAvatar: avatar, newAvatar: path });
+    await getCharacters();
+
+    toastr.success(`Duplicated ${characterData?.name ?? avatar}`);
+    log(`Duplicated ${avatar} as ${path}`);
+}
+
+/**
+ * Download a character card
+ * @param {string} avatar - Avatar filename of the character
+ * @param {'png'|'json'} format - Export format
+ */
+async function exportCharacter(avatar, format) {
+    const response = await fetch('/api/characters/export', {
+        method: 'POST',
+        headers: getRequestHeaders(),
+        body: JSON.stringify({ format, avatar_url: avatar }),
+    });
+
+    if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+    }
+
+    const blob = await response.blob();
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = avatar.replace(/\.png$/i, `.${format}`);
+    link.click();
+    URL.revokeObjectURL(link.href);
+
+    log(`Exported ${avatar} as ${format}`);
+}
+
+/**
+ * Ask for a new name and rename a character
+ * @param {Object} characterData - Full character object the popup was built from
+ * @param {string} avatar - Avatar filename of the character
+ */
+async function renameCharacterFromPopup(characterData, avatar) {
+    const characterId = getCharacterIdByAvatar(avatar);
+    if (characterId === -1) return;
+
+    const oldName = characterData?.data?.name ?? characterData?.name ?? '';
+    const newName = await callGenericPopup('Enter a new name for this character:', POPUP_TYPE.INPUT, oldName);
+
+    if (typeof newName !== 'string' || !newName.trim() || newName.trim() === oldName) {
+        return;
+    }
+
+    // SillyTavern's own rename also moves tags, lorebook and author's note bindings and past chats,
+    // but it only renames the selected character
+    await selectCharacterById(String(characterId));
+    if (!await renameCharacter(newName.trim())) {
+        return;
+    }
+
+    // The popup closes when the rename is announced, before the list knows the new avatar
+    if (this_chid !== undefined) {
+        await showCharacterPopup(Number(this_chid));
+    }
+
+    log(`Renamed ${avatar} to ${characters[this_chid]?.avatar}`);
+}
+
+/**
+ * Confirm and delete a character, optionally with its chats
+ * @param {Object} characterData - Full character object the popup was built from
+ * @param {string} avatar - Avatar filename of the character
+ */
+async function deleteCharacterFromPopup(characterData, avatar) {
+    const name = characterData?.data?.name ?? characterData?.name ?? avatar;
+    const popup = new Popup(`Delete ${name}? This cannot be undone.`, POPUP_TYPE.CONFIRM, '', {
+        okButton: 'Delete',
+        cancelButton: 'Cancel',
+        customInputs: [{ id: 'cdp_delete_chats', label: 'Also delete all chats with this character', type: 'checkbox', defaultState: false }],
+    });
+
+    discardPromptOpen = true;
+    let result;
+    try {
+        result = await popup.show();
+    } finally {
+        discardPromptOpen = false;
+    }
+
+    if (result !== POPUP_RESULT.AFFIRMATIVE) {
+        return;
+    }
+
+    const deleteChats = Boolean(popup.inputResults?.get('cdp_delete_chats'));
+
+    closeBox();
+    await deleteCharacter(avatar, { deleteChats });
+
+    toastr.success(`Deleted ${name}`);
+    log(`Deleted ${avatar} (chats deleted: ${deleteChats})`);
+}
+
+// Footer actions; run() receives the full character object and the avatar filename
+const cardActions = {
+    favorite: {
+        label: 'Toggle favorite',
+        icon: (characterData) => isFavoriteCharacter(characterData) ? 'fa-solid fa-star' : 'fa-regular fa-star',
+        run: toggleFavorite,
+    },
+    duplicate: {
+        label: 'Duplicate',
+        icon: () => 'fa-solid fa-clone',
+        run: duplicateCharacter,
+    },
+    exportPng: {
+        label: 'Export as PNG',
+        icon: () => 'fa-solid fa-file-image',
+        run: (characterData, avatar) => exportCharacter(avatar, 'png'),
+    },
+    exportJson: {
+        label: 'Export as JSON',
+        icon: () => 'fa-solid fa-file-code',
+        run: (characterData, avatar) => exportCharacter(avatar, 'json'),
+    },
+    rename: {
+        label: 'Rename',
+        icon: () => 'fa-solid fa-pen-to-square',
+        run: renameCharacterFromPopup,
+    },
+    delete: {
+        label: 'Delete',
+        icon: () => 'fa-solid fa-trash-can',
+        run: deleteCharacterFromPopup,
+    },
+    pin: {
+        label: 'Pin for comparison',
+        icon: (characterData) => pinnedCharacter && pinnedCharacter.avatar === characterData?.avatar ? 'fa-solid fa-thumbtack cdp-action__icon--active' : 'fa-solid fa-thumbtack',
+        run: togglePinnedCharacter,
+    },
+};
+
+/**
+ * Create the configurable card action bar
+ * @param {Object} characterData - Full character object the popup was built from
+ * @param {string} avatar - Avatar filename of the character
+ * @returns {HTMLElement} Action bar element
+ */
+function createActionBar(characterData, avatar) {
+    const bar = document.createElement('div');
+    bar.className = 'cdp-actions';
+
+    const sortedActions = Object.entries(extensionSettings.actionConfig)
+        .filter(([, cfg]) => cfg.visible)
+        .sort((a, b) => a[1].order - b[1].order);
+
+    for (const [actionId] of sortedActions) {
+        const action = cardActions[actionId];
+        if (!action) {
+            log(`Unknown action: ${actionId}`);
+            continue;
+        }
+
+        const button = document.createElement('button');
+        button.className = `cdp-action cdp-action--${actionId}`;
+        button.type = 'button';
+        button.title = action.label;
+        button.setAttribute('aria-label', action.label);
+        button.innerHTML = `<i class="${action.icon(characterData)}"></i>`;
+
+        button.addEventListener('click', async (e) => {
+            e.stopPropagation();
+            button.disabled = true;
+            try {
+                await action.run(characterData, avatar);
+                button.innerHTML = `<i class="${action.icon(characterData)}"></i>`;
+            } catch (error) {
+                console.error(`[Character Details Popup] Action '${actionId}' failed:`, error);
+                toastr.error(`${action.label} failed. See the browser console for details.`);
+            } finally {
+                button.disabled = false;
+            }
+        });
+
+        bar.appendChild(button);
+    }
+
+    return bar;
+}
+
+/**
+ * Get the tags assigned to a character
+ * @param {string} avatar - Avatar filename of the character
+ * @returns {Object[]} Tag objects in assignment order
+ */
+function getCharacterTags(avatar) {
+    return (tag_map[avatar] ?? [])
+        .map(tagId => tags.find(tag => tag.id === tagId))
+        .filter(tag => tag);
+}
+
+/**
+ * Assign a tag to a character by name, creating the tag if it doesn't exist
+ * @param {string} avatar - Avatar filename of the character
+ * @param {string} tagName - Name of the tag
+ */
+function addTagToCharacter(avatar, tagName) {
+    const name = tagName.trim();
+    if (!name) return;
+
+    const characterId = getCharacterIdByAvatar(avatar);
+    if (characterId === -1) return;
+
+    let tag = tags.find(t => t.name.toLowerCase() === name.toLowerCase());
+
+    // tags.js keeps its tag factory private, so the new tag mirrors its defaults
+    if (!tag) {
+        tag = {
+            id: uuidv4(),
+            name,
+            folder_type: TAG_FOLDER_DEFAULT_TYPE,
+            filter_state: 'UNDEFINED',
+            sort_order: Math.max(0, ...tags.map(t => t.sort_order ?? 0)) + 1,
+            is_hidden_on_character_card: false,
+            color: '',
+            color2: '',
+            create_date: Date.now(),
+        };
+        tags.push(tag);
+        printTagFilters();
+        log(`Created tag '${name}'`);
+    }
+
+    // Saves settings and refreshes the character list when the tag was newly assigned
+    if (addTagsToEntity(tag, characterId)) {
+        log(`Added tag '${tag.name}' to ${avatar}`);
+    }
+}
+
+/**
+ * Remove a tag from a character
+ * @param {string} avatar - Avatar filename of the character
+ * @param {string} tagId - ID of the tag
+ */
+function removeTagFromCharacter(avatar, tagId) {
+    const characterId = getCharacterIdByAvatar(avatar);
+    const tag = tags.find(t => t.id === tagId);
+    if (characterId === -1 || !tag) return;
+
+    removeTagFromEntity(tag, characterId);
+    log(`Removed tag ${tagId} from ${avatar}`);
+}
+
+/**
+ * Close the popup and filter the character list by a tag
+ * @param {string} tagId - ID of the tag
+ */
+function filterCharactersByTag(tagId) {
+    closeBox();
+
+    const filterTag = document.querySelector(`#rm_tag_filter .tag[id="${CSS.escape(tagId)}"]`);
+    if (!filterTag) {
+        log(`Tag filter not found: ${tagId}`);
+        return;
+    }
+
+    // Clicking cycles the filter state, so only click when not already selected
+    if (!filterTag.classList.contains('selected')) {
+        filterTag.click();
+    }
+    log(`Filtering character list by tag ${tagId}`);
+}
+
+/**
+ * Create the tag chips and tag input shown under the character name
+ * @param {string} avatar - Avatar filename of the character
+ * @returns {HTMLElement} Tag list element
+ */
+function createTagList(avatar) {
+    const container = document.createElement('div');
+    container.className = 'cdp-tags';
+
+    // Unique per popup so a compare view or a second popup doesn't share the suggestions
+    const optionsId = `cdp-tag-options-${uuidv4()}`;
+
+    const render = () => {
+        container.innerHTML = '';
+
+        for (const tag of getCharacterTags(avatar)) {
+            const chip = document.createElement('span');
+            chip.className = 'cdp-tag';
+            chip.title = `Filter characters by '${tag.name}'`;
+            if (tag.color) chip.style.backgroundColor = tag.color;
+            if (tag.color2) chip.style.color = tag.color2;
+
+            const label = document.createElement('span');
+            label.className = 'cdp-tag__label';
+            label.textContent = tag.name;
+            label.addEventListener('click', (e) => {
+                e.stopPropagation();
+                filterCharactersByTag(tag.id);
+            });
+
+            const removeButton = document.createElement('button');
+            removeButton.className = 'cdp-tag__remove';
+            removeButton.type = 'button';
+            removeButton.title = `Remove '${tag.name}'`;
+            removeButton.innerHTML = '&times;';
+            removeButton.addEventListener('click', (e) => {
+                e.stopPropagation();
+                removeTagFromCharacter(avatar, tag.id);
+                render();
+            });
+
+            chip.appendChild(label);
+            chip.appendChild(removeButton);
+            container.appendChild(chip);
+        }
+
+        const input = document.createElement('input');
+        input.className = 'cdp-tags__input text_pole';
+        input.type = 'text';
+        input.placeholder = '+ tag';
+        input.setAttribute('list', optionsId);
+
+        const options = document.createElement('datalist');
+        options.id = optionsId;
+        const assigned = tag_map[avatar] ?? [];
+        for (const tag of tags.filter(t => !assigned.includes(t.id))) {
+            const option = document.createElement('option');
+            option.value = tag.name;
+            options.appendChild(option);
+        }
+
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' && input.value.trim()) {
+                e.preventDefault();
+                addTagToCharacter(avatar, input.value);
+                render();
+                container.querySelector('.cdp-tags__input')?.focus();
+            }
+        });
+
+        container.appendChild(input);
+        container.appendChild(options);
+    };
+
+    render();
+    return container;
+}
+
+/**
+ * Get the personal notes, rating and status kept for a character
+ * @param {string} avatar - Avatar filename of the character
+ * @returns {{note: string, rating: number, status: string}} Notes entry, defaults if there is none
+ */
+function getCharacterNotes(avatar) {
+    return { note: '', rating: 0, status: 'unseen', ...extensionSettings.characterNotes[avatar] };
+}
+
+/**
+ * Change the personal notes, rating or status of a character
+ * @param {string} avatar - Avatar filename of the character
+ * @param {Object} changes - Fields to change
+ */
+function updateCharacterNotes(avatar, changes) {
+    if (!avatar) return;
+
+    const entry = { ...getCharacterNotes(avatar), ...changes };
+
+    // Only characters with something to remember are stored
+    if (!entry.note && !entry.rating && entry.status === 'unseen') {
+        delete extensionSettings.characterNotes[avatar];
+    } else {
+        extensionSettings.characterNotes[avatar] = entry;
+    }
+
+    saveSettings();
+
+    // A changed rating or status can move the character in or out of the filtered list
+    if (notesFilter.rating || notesFilter.status) {
+        printCharactersDebounced();
+    } else {
+        decorateCharacterCards();
+    }
+}
+
+/**
+ * Move a character's status forward, e.g. from unseen to previewed
+ * @param {string} avatar - Avatar filename of the character
+ * @param {string} status - New status
+ * @param {string[]} fromStatuses - Statuses that may be replaced
+ */
+function advanceCharacterStatus(avatar, status, fromStatuses) {
+    if (avatar && fromStatuses.includes(getCharacterNotes(avatar).status)) {
+        updateCharacterNotes(avatar, { status });
+    }
+}
+
+/**
+ * Create the star rating and status picker shown under the name
+ * @param {string} avatar - Avatar filename of the character
+ * @returns {HTMLElement} Controls element
+ */
+function createNotesControls(avatar) {
+    const container = document.createElement('div');
+    container.className = 'cdp-rating-bar';
+
+    const stars = document.createElement('div');
+    stars.className = 'cdp-rating';
+    stars.setAttribute('role', 'radiogroup');
+    stars.setAttribute('aria-label', 'Rating');
+
+    const renderStars = () => {
+        const { rating } = getCharacterNotes(avatar);
+        stars.querySelectorAll('.cdp-rating__star').forEach((star, index) => {
+            star.className = `cdp-rating__star ${index < rating ? 'fa-solid' : 'fa-regular'} fa-star`;
+            star.setAttribute('aria-checked', String(index + 1 === rating));
+        });
+    };
+
+    for (let value = 1; value <= 5; value++) {
+        const star = document.createElement('button');
+        star.type = 'button';
+        star.title = `Rate ${value} of 5 (click again to clear)`;
+        star.setAttribute('role', 'radio');
+        star.addEventListener('click', (e) => {
+            e.stopPropagation();
+            updateCharacterNotes(avatar, { rating: getCharacterNotes(avatar).rating === value ? 0 : value });
+            renderStars();
+        });
+        stars.appendChild(star);
+    }
+
+    const status = document.createElement('select');
+    status.className = 'text_pole cdp-status-select';
+    status.title = 'Status';
+    for (const [value, label] of Object.entries(characterStatuses)) {
+        status.add(new Option(label, value));
+    }
+    status.value = getCharacterNotes(avatar).status;
+    status.addEventListener('change', () => {
+        updateCharacterNotes(avatar, { status: status.value });
+    });
+
+    renderStars();
+    container.appendChild(stars);
+    container.appendChild(status);
+
+    return container;
+}
+
+/**
+ * Create the section holding the private notes about a character
+ * @param {string} avatar - Avatar filename of the character
+ * @param {boolean} expanded - Whether section is open by default
+ * @returns {HTMLElement|null} Details element or null without an avatar
+ */
+function createNotesSection(avatar, expanded) {
+    if (!avatar) {
+        return null;
+    }
+
+    const { note } = getCharacterNotes(avatar);
+
+    const details = document.createElement('details');
+    details.className = 'cdp-collapsible';
+    details.open = expanded || Boolean(note);
+
+    const summary = document.createElement('summary');
+    summary.className = 'cdp-collapsible__summary';
+    summary.textContent = 'My Notes';
+
+    const contentDiv = document.createElement('div');
+    contentDiv.className = 'cdp-collapsible__content';
+
+    const textarea = document.createElement('textarea');
+    textarea.className = 'text_pole cdp-notes';
+    textarea.rows = 3;
+    textarea.placeholder = 'Why you downloaded this card, what you thought of it... Only stored in your settings, never in the card.';
+    textarea.value = note;
+
+    // Saving on every keystroke would write the settings and redraw the list badges each time
+    const saveNote = lodash.debounce(() => updateCharacterNotes(avatar, { note: textarea.value }), 500);
+    textarea.addEventListener('input', saveNote);
+    textarea.addEventListener('change', () => saveNote.flush());
+
+    contentDiv.appendChild(textarea);
+    details.appendChild(summary);
+    details.appendChild(contentDiv);
+
+    return details;
+}
+
+/**
+ * Whether a character passes the rating and status filter of the character list
+ * @param {string} avatar - Avatar filename of the character
+ * @returns {boolean} True if the character should be listed
+ */
+function passesNotesFilter(avatar) {
+    const { rating, status } = getCharacterNotes(avatar);
+
+    if (notesFilter.rating === -1 && rating !== 0) return false;
+    if (notesFilter.rating > 0 && rating < notesFilter.rating) return false;
+    if (notesFilter.status && status !== notesFilter.status) return false;
+
+    return true;
+}
+
+/**
+ * Add rating and status badges to the rendered character cards
+ */
+function decorateCharacterCards() {
+    const statusIcons = {
+        previewed: 'fa-eye',
+        chatted: 'fa-comments',
+        archived: 'fa-box-archive',
+    };
+
+    document.querySelectorAll('#rm_print_characters_block .character_select[data-chid]').forEach(card => {
+        const avatar = characters[Number(card.getAttribute('data-chid'))]?.avatar;
+        if (!avatar) return;
+
+        card.querySelector('.cdp-list-badges')?.remove();
+
+        const { note, rating, status } = getCharacterNotes(avatar);
+        if (!note && !rating && !statusIcons[status]) return;
+
+        const badges = document.createElement('span');
+        badges.className = 'cdp-list-badges';
+
+        if (rating) {
+            const ratingBadge = document.createElement('span');
+            ratingBadge.className = 'cdp-list-badges__rating';
+            ratingBadge.title = `Rated ${rating} of 5`;
+            ratingBadge.innerHTML = `<i class="fa-solid fa-star"></i>${rating}`;
+            badges.appendChild(ratingBadge);
+        }
+
+        if (statusIcons[status]) {
+            const statusBadge = document.createElement('i');
+            statusBadge.className = `fa-solid ${statusIcons[status]}`;
+            statusBadge.title = characterStatuses[status];
+            badges.appendChild(statusBadge);
+        }
+
+        if (note) {
+            const noteBadge = document.createElement('i');
+            noteBadge.className = 'fa-solid fa-note-sticky';
+            noteBadge.title = note.length > 200 ? `${note.slice(0, 200)}…` : note;
+            badges.appendChild(noteBadge);
+        }
+
+        (card.querySelector('.character_name_block') ?? card).appendChild(badges);
+    });
+}
+
+/**
+ * Add the rating and status filter above the character list and keep list badges current
+ */
+function setupNotesListFilter() {
+    const characterListContainer = document.getElementById('rm_print_characters_block');
+    if (!characterListContainer) return;
+
+    const toolbar = document.createElement('div');
+    toolbar.className = 'cdp-list-filter';
+
+    const ratingSelect = document.createElement('select');
+    ratingSelect.className = 'text_pole';
+    ratingSelect.title = 'Filter by your rating';
+    ratingSelect.add(new Option('Any rating', '0'));
+    for (let value = 1; value <= 5; value++) {
+        ratingSelect.add(new Option(value === 5 ? '★ 5' : `★ ${value}+`, String(value)));
+    }
+    ratingSelect.add(new Option('Unrated', '-1'));
+
+    const statusSelect = document.createElement('select');
+    statusSelect.className = 'text_pole';
+    statusSelect.title = 'Filter by status';
+    statusSelect.add(new Option('Any status', ''));
+    for (const [value, label] of Object.entries(characterStatuses)) {
+        statusSelect.add(new Option(label, value));
+    }
+
+    const onChange = () => {
+        notesFilter.rating = Number(ratingSelect.value);
+        notesFilter.status = statusSelect.value;
+        updateListFilter();
+        log(`Notes filter: rating ${notesFilter.rating}, status '${notesFilter.status}'`);
+    };
+    ratingSelect.addEventListener('change', onChange);
+    statusSelect.addEventListener('change', onChange);
+
+    toolbar.appendChild(ratingSelect);
+    toolbar.appendChild(statusSelect);
+    characterListContainer.before(toolbar);
+
+    // The list is rebuilt on every search, sort and page change
+    new MutationObserver(() => decorateCharacterCards()).observe(characterListContainer, { childList: true });
+    decorateCharacterCards();
+}
+
+/**
+ * Fill in the permanent and total token counts for a card in the header
+ * @param {HTMLElement} element - Token total element
+ * @param {Object} data - Character data
+ * @param {string} name - Name of the previewed character
+ */
+async function updateTokenTotals(element, data, name) {
+    const expand = (text) => expandMacros(text ?? '', name);
+
+    // Fields sent with every request, the same set SillyTavern counts as permanent
+    const permanentFields = [
+        name,
+        expand(data?.description),
+        expand(data?.personality),
+        expand(data?.scenario),
+        expand(data?.system_prompt),
+        expand(data?.post_history_instructions),
+        expand(data?.extensions?.depth_prompt?.prompt),
+    ];
+
+    // Examples only stay in context permanently when pinned
+    if (power_user.pin_examples) {
+        permanentFields.push(expand(data?.mes_example));
+    }
+
+    const otherFields = [
+        expand(data?.first_mes),
+        power_user.pin_examples ? '' : expand(data?.mes_example),
+    ];
+
+    const request = String(Number(element.dataset.request ?? 0) + 1);
+    element.dataset.request = request;
+    element.textContent = 'Counting tokens…';
+
+    const [permanent, other] = await Promise.all([
+        countTokens(permanentFields.filter(text => text).join('\n')),
+        countTokens(otherFields.filter(text => text).join('\n')),
+    ]);
+
+    // A re-render may have started a newer count while this one ran
+    if (element.dataset.request !== request) {
+        return;
+    }
+
+    const total = permanent + other;
+    const budget = extensionSettings.tokenBudget;
+    const overBudget = budget > 0 && permanent > budget;
+
+    element.classList.toggle('cdp-token-total--over', overBudget);
+    element.textContent = `Permanent: ${formatTokenCount(permanent)} · Total: ${formatTokenCount(total)}`;
+    element.title = overBudget
+        ? `Permanent tokens exceed your budget of ${budget.toLocaleString()}`
+        : 'Permanent tokens are sent with every message';
+
+    if (overBudget) {
+        const icon = document.createElement('i');
+        icon.className = 'fa-solid fa-triangle-exclamation';
+        element.prepend(icon, ' ');
+    }
+}
+
+/**
+ * Create box HTML structure for character details
+ * @param {Object} characterData - Character data object
+ * @param {string} localAvatar - Local avatar filename (not the source URL)
+ * @returns {HTMLElement} Box overlay element
+ */
+function createCharacterBox(characterData, localAvatar) {
+    const data = characterData?.data || characterData;
+
+    const name = data?.name ?? 'Unnamed Character';
+    const avatar = localAvatar ?? data?.avatar ?? '';
+
+    selectedGreetingIndex = 0;
+
+    const overlay = document.createElement('div');
+    overlay.className = 'cdp-box__overlay';
+
+    const box = document.createElement('div');
+    box.className = 'cdp-box';
+
+    const content = document.createElement('div');
+    content.className = 'cdp-box__content';
+
+    const header = document.createElement('div');
+    header.className = 'cdp-box__header';
+
+    if (avatar) {
+        const img = document.createElement('img');
+        img.className = 'cdp-box__image';
+        img.src = `/characters/${encodeURIComponent(avatar)}`;
+        img.alt = name;
+
+        img.onerror = function() {
+            this.src = 'img/ai4.png';
+            log(`Failed to load avatar: ${avatar}, using default`);
+        };
+
+        img.classList.add('cdp-box__image--zoomable');
+        img.title = 'View full size';
+        img.addEventListener('click', (e) => {
+            e.stopPropagation();
+            openLightbox([{ url: img.src, label: name }], 0);
+        });
+
+        header.appendChild(img);
+    }
+
+    const title = document.createElement('div');
+    title.className = 'cdp-box__title';
+
+    const nameHeading = document.createElement('h2');
+    nameHeading.className = 'cdp-box__name';
+    nameHeading.textContent = name;
+    title.appendChild(nameHeading);
+
+    const tokenTotal = document.createElement('div');
+    tokenTotal.className = 'cdp-token-total';
+    title.appendChild(tokenTotal);
+
+    if (avatar) {
+        title.appendChild(createTagList(avatar));
+        title.appendChild(createNotesControls(avatar));
+    }
+
+    header.appendChild(title);
+
+    const tools = document.createElement('div');
+    tools.className = 'cdp-box__tools';
+
+    const findToggle = document.createElement('button');
+    findToggle.className = 'cdp-macro-toggle cdp-find-toggle';
+    findToggle.type = 'button';
+    findToggle.title = 'Find in card (Ctrl+F)';
+    findToggle.innerHTML = '<i class="fa-solid fa-magnifying-glass"></i>';
+    tools.appendChild(findToggle);
+
+    const macroToggle = document.createElement('button');
+    macroToggle.className = 'cdp-macro-toggle';
+    macroToggle.type = 'button';
+    tools.appendChild(macroToggle);
+
+    const rawToggle = document.createElement('button');
+    rawToggle.className = 'cdp-macro-toggle cdp-raw-toggle';
+    rawToggle.type = 'button';
+    rawToggle.textContent = 'Raw';
+    tools.appendChild(rawToggle);
+
+    const compareToggle = document.createElement('button');
+    compareToggle.className = 'cdp-macro-toggle cdp-compare-toggle';
+    compareToggle.type = 'button';
+    compareToggle.innerHTML = '<i class="fa-solid fa-code-compare"></i>';
+    tools.appendChild(compareToggle);
+
+    if (avatar) {
+        tools.appendChild(createHistoryDropdown(avatar));
+    }
+
+    header.appendChild(tools);
+
+    // Whether the body shows the raw JSON inspector or the comparison instead of the sections
+    let showRaw = false;
+    let showCompare = false;
+
+    content.appendChild(header);
+
+    const notice = document.createElement('div');
+    notice.className = 'cdp-sanitize-notice';
+    notice.hidden = true;
+    notice.innerHTML = '<i class="fa-solid fa-shield-halved"></i> <span class="cdp-sanitize-notice__text"></span>';
+    content.appendChild(notice);
+
+    const body = document.createElement('div');
+    body.className = 'cdp-box__body';
+
+    const findBar = createFindBar(body);
+    content.insertBefore(findBar.element, notice);
+
+    // Tab definitions with content getters and display settings
+    const tabDefinitions = {
+        description: {
+            label: 'Description',
+            getContent: () => expandMacros(data?.description ?? 'No description available.', name),
+            useMarkdown: true,
+        },
+        firstMessage: {
+            label: 'First Message',
+            isCustomBuilder: true,
+            builder: (expanded) => createFirstMessageSection(data, expanded),
+        },
+        scenario: {
+            label: 'Scenario',
+            getContent: () => expandMacros(data?.scenario ?? '', name),
+            useMarkdown: false,
+        },
+        personality: {
+            label: 'Personality',
+            getContent: () => expandMacros(data?.personality ?? '', name),
+            useMarkdown: false,
+        },
+        creatorNotes: {
+            label: 'Creator Notes',
+            getContent: () => expandMacros(data?.creator_notes ?? '', name),
+            useMarkdown: false,
+        },
+        exampleMessages: {
+            label: 'Example Messages',
+            isCustomBuilder: true,
+            builder: (expanded) => createExampleMessagesSection(data?.mes_example ?? '', name, avatar, expanded),
+        },
+        lorebook: {
+            label: 'Lorebook',
+            isCustomBuilder: true,
+            builder: (expanded) => createLorebookSection(data?.character_book, expanded),
+        },
+        chats: {
+            label: 'Chats',
+            isCustomBuilder: true,
+            builder: (expanded) => createChatsSection(avatar, expanded),
+        },
+        metadata: {
+            label: 'Metadata',
+            isCustomBuilder: true,
+            builder: (expanded) => createMetadataSection(characterData, avatar, expanded),
+        },
+        systemPrompt: {
+            label: 'System Prompt',
+            getContent: () => expandMacros(data?.system_prompt ?? '', name),
+            useMarkdown: false,
+        },
+        postHistory: {
+            label: 'Post-History Instructions',
+            getContent: () => expandMacros(data?.post_history_instructions ?? '', name),
+            useMarkdown: false,
+        },
+        depthPrompt: {
+            label: 'Character Note (Depth Prompt)',
+            isCustomBuilder: true,
+            builder: (expanded) => createDepthPromptSection(data?.extensions?.depth_prompt, name, expanded),
+        },
+        gallery: {
+            label: 'Gallery',
+            isCustomBuilder: true,
+            builder: (expanded) => createGallerySection(avatar, name, expanded),
+        },
+        notes: {
+            label: 'My Notes',
+            isCustomBuilder: true,
+            builder: (expanded) => createNotesSection(avatar, expanded),
+        },
+    };
+
+    for (const customTab of extensionSettings.customTabs) {
+        tabDefinitions[customTab.id] = {
+            label: customTab.label,
+            isCustomBuilder: true,
+            builder: (expanded) => createCustomTabSection(customTab, characterData, name, expanded),
+        };
+    }
+
+    for (const [sectionId, section] of registeredSections) {
+        tabDefinitions[sectionId] = {
+            label: section.label,
+            isCustomBuilder: true,
+            builder: (expanded) => createRegisteredSection(section, characterData, avatar, expanded),
+        };
+    }
+
+    /**
+     * (Re)build all visible sections into the body
+     */
+    const renderBody = () => {
+        // Keep sections the user already opened or closed when rebuilding
+        const previousOpenState = [...body.querySelectorAll(':scope > details')].map(details => details.open);
+
+        body.innerHTML = '';
+
+        const canCompare = Boolean(pinnedCharacter) && pinnedCharacter.avatar !== avatar;
+        showCompare = showCompare && canCompare;
+        box.classList.toggle('cdp-box--compare', showCompare);
+
+        rawToggle.classList.toggle('cdp-macro-toggle--raw', showRaw);
+        rawToggle.title = showRaw ? 'Show formatted card' : 'Show raw card JSON';
+        rawToggle.setAttribute('aria-pressed', String(showRaw));
+        compareToggle.hidden = !canCompare;
+        compareToggle.classList.toggle('cdp-macro-toggle--raw', showCompare);
+        compareToggle.title = showCompare ? 'Show formatted card' : `Compare with ${pinnedCharacter?.characterData?.data?.name ?? pinnedCharacter?.avatar ?? 'pinned card'}`;
+        compareToggle.setAttribute('aria-pressed', String(showCompare));
+        macroToggle.hidden = showRaw || showCompare;
+        findToggle.hidden = showRaw || showCompare;
+
+        if (showRaw) {
+            findBar.close();
+            body.appendChild(createRawInspector(characterData, avatar));
+            updateSanitizeNotice(notice);
+            return;
+        }
+
+        if (showCompare) {
+            findBar.close();
+            body.appendChild(createCompareView(pinnedCharacter, { characterData, avatar }));
+            updateSanitizeNotice(notice);
+            return;
+        }
+
+        // Build tabs dynamically based on tabConfig
+        const sortedTabs = Object.entries(extensionSettings.tabConfig)
+            .filter(([, cfg]) => cfg.visible)
+            .sort((a, b) => a[1].order - b[1].order);
+
+        log(`Building ${sortedTabs.length} visible tabs`);
+
+        for (const [tabId, cfg] of sortedTabs) {
+            const def = tabDefinitions[tabId];
+            if (!def) {
+                log(`Unknown tab: ${tabId}`);
+                continue;
+            }
+
+            if (def.isCustomBuilder) {
+                const section = def.builder(cfg.expanded);
+                if (section) {
+                    body.appendChild(section);
+                    log(`Added tab: ${tabId} (custom builder, expanded: ${cfg.expanded})`);
+                }
+            } else {
+                const content = def.getContent();
+                if (content && content.trim()) {
+                    const section = createCollapsibleSection(def.label, content.trim(), cfg.expanded, def.useMarkdown);
+                    body.appendChild(section);
+                    log(`Added tab: ${tabId} (expanded: ${cfg.expanded})`);
+                }
+            }
+        }
+
+        updateTokenTotals(tokenTotal, data, name);
+
+        const sections = body.querySelectorAll(':scope > details');
+        if (previousOpenState.length === sections.length) {
+            sections.forEach((details, index) => details.open = previousOpenState[index]);
+        }
+
+        macroToggle.classList.toggle('cdp-macro-toggle--raw', !extensionSettings.expandMacros);
+        macroToggle.title = extensionSettings.expandMacros ? 'Show raw template' : 'Show expanded macros';
+        macroToggle.setAttribute('aria-pressed', String(!extensionSettings.expandMacros));
+        updateSanitizeNotice(notice);
+        findBar.refresh();
+    };
+
+    macroToggle.textContent = '{{ }}';
+    macroToggle.addEventListener('click', (e) => {
+        e.stopPropagation();
+        extensionSettings.expandMacros = !extensionSettings.expandMacros;
+        saveSettings();
+        renderBody();
+        log(`Macro expansion: ${extensionSettings.expandMacros}`);
+    });
+
+    findToggle.addEventListener('click', (e) => {
+        e.stopPropagation();
+        findBar.open();
+    });
+
+    rawToggle.addEventListener('click', (e) => {
+        e.stopPropagation();
+        showRaw = !showRaw;
+        showCompare = false;
+        renderBody();
+        log(`Raw view: ${showRaw}`);
+    });
+
+    compareToggle.addEventListener('click', (e) => {
+        e.stopPropagation();
+        showCompare = !showCompare;
+        showRaw = false;
+        renderBody();
+        log(`Compare view: ${showCompare}`);
+    });
+
+    box.addEventListener('cdp-pin-change', () => {
+        if (!unsavedChangesCheck) {
+            renderBody();
+        }
+    });
+
+    content.appendChild(body);
+    box.appendChild(content);
+    renderBody();
+
+    const footer = document.createElement('div');
+    footer.className = 'cdp-box__footer';
+
+    const startChatButton = document.createElement('button');
+    startChatButton.id = 'cdp-start-chat';
+    startChatButton.className = 'cdp-button cdp-button--primary';
+    startChatButton.textContent = 'Start Chat';
+
+    const closeButton = document.createElement('button');
+    closeButton.id = 'cdp-close';
+    closeButton.className = 'cdp-button cdp-button--secondary';
+    closeButton.textContent = 'Close';
+
+    const editButton = document.createElement('button');
+    editButton.id = 'cdp-edit';
+    editButton.className = 'cdp-button cdp-button--secondary';
+    editButton.textContent = 'Edit';
+
+    const saveButton = document.createElement('button');
+    saveButton.id = 'cdp-save';
+    saveButton.className = 'cdp-button cdp-button--primary';
+    saveButton.textContent = 'Save';
+    saveButton.hidden = true;
+
+    const cancelEditButton = document.createElement('button');
+    cancelEditButton.id = 'cdp-cancel-edit';
+    cancelEditButton.className = 'cdp-button cdp-button--secondary';
+    cancelEditButton.textContent = 'Cancel';
+    cancelEditButton.hidden = true;
+
+    const actionBar = createActionBar(characterData, avatar);
+
+    const setEditMode = (editing) => {
+        box.classList.toggle('cdp-box--editing', editing);
+        actionBar.hidden = editing;
+        editButton.hidden = editing;
+        startChatButton.hidden = editing;
+        macroToggle.hidden = editing || showRaw || showCompare;
+        rawToggle.hidden = editing;
+        compareToggle.hidden = editing || !pinnedCharacter || pinnedCharacter.avatar === avatar;
+        findToggle.hidden = editing || showRaw || showCompare;
+        if (editing) {
+            findBar.close();
+        }
+        saveButton.hidden = !editing;
+        cancelEditButton.hidden = !editing;
+    };
+
+    const exitEditMode = () => {
+        unsavedChangesCheck = null;
+        setEditMode(false);
+        renderBody();
+    };
+
+    let editForm = null;
+
+    editButton.addEventListener('click', (e) => {
+        e.stopPropagation();
+
+        editForm = createEditForm(data);
+        const originalValues = JSON.stringify(editForm.getValues());
+        unsavedChangesCheck = () => JSON.stringify(editForm.getValues()) !== originalValues;
+
+        body.innerHTML = '';
+        body.appendChild(editForm.element);
+        setEditMode(true);
+        log(`Editing ${name}`);
+    });
+
+    cancelEditButton.addEventListener('click', async (e) => {
+        e.stopPropagation();
+        if (await confirmDiscardChanges()) {
+            exitEditMode();
+        }
+    });
+
+    saveButton.addEventListener('click', async (e) => {
+        e.stopPropagation();
+
+        if (!unsavedChangesCheck?.()) {
+            exitEditMode();
+            return;
+        }
+
+        const values = editForm.getValues();
+        values.alternate_greetings = values.alternate_greetings.filter(greeting => greeting.trim());
+
+        saveButton.disabled = true;
+        try {
+            await saveCharacterEdits(characterData, avatar, values);
+            exitEditMode();
+        } catch (error) {
+            console.error('[Character Details Popup] Failed to save character:', error);
+            toastr.error('Failed to save character. Your edits are still in the editor.');
+        } finally {
+            saveButton.disabled = false;
+        }
+    });
+
+    footer.appendChild(startChatButton);
+    footer.appendChild(saveButton);
+    footer.appendChild(editButton);
+    footer.appendChild(cancelEditButton);
+    footer.appendChild(closeButton);
+    footer.appendChild(actionBar);
+    footer.appendChild(createNavigationControls());
+    box.appendChild(footer);
+
+    overlay.appendChild(box);
+
+    return overlay;
+}
+
+/**
+ * Create the compact row for one member of a group
+ * @param {string} memberAvatar - Avatar filename of the member
+ * @param {boolean} muted - Whether the member is muted in the group
+ * @returns {HTMLElement} Member row
+ */
+function createGroupMemberRow(memberAvatar, muted) {
+    const characterId = getCharacterIdByAvatar(memberAvatar);
+    const character = characters[characterId];
+
+    const row = document.createElement('div');
+    row.className = 'cdp-group__member';
+    row.classList.toggle('cdp-group__member--muted', muted);
+
+    const img = document.createElement('img');
+    img.className = 'cdp-group__member-avatar';
+    img.src = getThumbnailUrl('avatar', memberAvatar);
+    img.alt = '';
+    row.appendChild(img);
+
+    const info = document.createElement('div');
+    info.className = 'cdp-group__member-info';
+
+    const name = document.createElement('div');
+    name.className = 'cdp-group__member-name';
+    name.textContent = character?.name ?? memberAvatar;
+    if (muted) {
+        name.appendChild(createBadge('muted', 'muted'));
+    }
+    info.appendChild(name);
+
+    const description = document.createElement('div');
+    description.className = 'cdp-group__member-description';
+    info.appendChild(description);
+    row.appendChild(info);
+
+    if (!character) {
+        description.textContent = 'This character no longer exists.';
+        return row;
+    }
+
+    const showDescription = (text) => {
+        description.textContent = expandMacros(text, character.name).trim() || 'No description available.';
+    };
+
+    // Shallow list entries may not carry the description, fetch it when missing
+    const shallowDescription = character.data?.description ?? character.description;
+    if (shallowDescription) {
+        showDescription(shallowDescription);
+    } else {
+        description.textContent = 'Loading...';
+        getCharacterData(memberAvatar)
+            .then(data => showDescription(data?.data?.description ?? data?.description ?? ''))
+            .catch(() => description.textContent = 'Description unavailable.');
+    }
+
+    const expandButton = document.createElement('button');
+    expandButton.type = 'button';
+    expandButton.className = 'cdp-group__member-expand';
+    expandButton.title = 'Show full preview';
+    expandButton.setAttribute('aria-label', `Show full preview of ${character.name}`);
+    expandButton.innerHTML = '<i class="fa-solid fa-up-right-and-down-left-from-center"></i>';
+    expandButton.addEventListener('click', (e) => {
+        e.stopPropagation();
+        showCharacterPopup(characterId);
+    });
+    row.appendChild(expandButton);
+
+    return row;
 }
 
 /**
- * Create box HTML structure for character details
- * @param {Object} characterData - Character data object
- * @param {string} localAvatar - Local avatar filename (not the source URL)
- * @returns {HTMLElement} Box overlay element
+ * Create the popup content for a group
+ * @param {Object} group - Group object from the groups array
+ * @returns {HTMLElement} Overlay element containing the group box
  */
-function createCharacterBox(characterData, localAvatar) {
-    const data = characterData?.data || characterData;
-
-    const name = data?.name ?? 'Unnamed Character';
-    const description = data?.description ?? 'No description available.';
-    const creatorNotes = data?.creator_notes ?? '';
-    const scenario = data?.scenario ?? '';
-    const avatar = localAvatar ?? data?.avatar ?? '';
-    const personality = data?.personality ?? '';
-    const exampleMessages = data?.mes_example ?? '';
-
+function createGroupBox(group) {
     const overlay = document.createElement('div');
     overlay.className = 'cdp-box__overlay';
 
     const box = document.createElement('div');
-    box.className = 'cdp-box';
+    box.className = 'cdp-box cdp-box--group';
 
     const content = document.createElement('div');
     content.className = 'cdp-box__content';
@@ -468,182 +4644,764 @@ function createCharacterBox(characterData, localAvatar) {
     const header = document.createElement('div');
     header.className = 'cdp-box__header';
 
-    if (avatar) {
-        const img = document.createElement('img');
-        img.className = 'cdp-box__image';
-        img.src = `/characters/${encodeURIComponent(avatar)}`;
-        img.alt = name;
-
-        img.onerror = function() {
-            this.src = 'img/ai4.png';
-            log(`Failed to load avatar: ${avatar}, using default`);
-        };
+    const collage = document.createElement('div');
+    collage.className = 'cdp-group__avatar';
+    collage.append(...getGroupAvatar(group).toArray());
+    header.appendChild(collage);
 
-        header.appendChild(img);
-    }
+    const title = document.createElement('div');
+    title.className = 'cdp-box__title';
 
     const nameHeading = document.createElement('h2');
     nameHeading.className = 'cdp-box__name';
-    nameHeading.textContent = name;
-    header.appendChild(nameHeading);
+    nameHeading.textContent = group.name ?? 'Unnamed Group';
+    title.appendChild(nameHeading);
+
+    const members = group.members ?? [];
+    const disabledMembers = group.disabled_members ?? [];
+
+    const info = document.createElement('div');
+    info.className = 'cdp-group__info';
+    info.appendChild(createBadge(`${members.length} member${members.length === 1 ? '' : 's'}`, 'info'));
+    info.appendChild(createBadge(groupActivationLabels[group.activation_strategy] ?? 'Unknown activation'));
+    if ([group_generation_mode.APPEND, group_generation_mode.APPEND_DISABLED].includes(group.generation_mode)) {
+        info.appendChild(createBadge('Join character cards'));
+    }
+    if (group.allow_self_responses) {
+        info.appendChild(createBadge('Self-responses'));
+    }
+    title.appendChild(info);
 
+    header.appendChild(title);
     content.appendChild(header);
 
     const body = document.createElement('div');
     body.className = 'cdp-box__body';
 
-    // Tab definitions with content getters and display settings
-    const tabDefinitions = {
-        description: {
-            label: 'Description',
-            getContent: () => description,
-            useMarkdown: true,
-        },
-        firstMessage: {
-            label: 'First Message',
-            isCustomBuilder: true,
-            builder: (expanded) => createFirstMessageSection(data, expanded),
-        },
-        scenario: {
-            label: 'Scenario',
-            getContent: () => scenario,
-            useMarkdown: false,
+    const memberList = document.createElement('div');
+    memberList.className = 'cdp-group__members';
+    for (const memberAvatar of members) {
+        memberList.appendChild(createGroupMemberRow(memberAvatar, disabledMembers.includes(memberAvatar)));
+    }
+    if (members.length === 0) {
+        memberList.textContent = 'This group has no members.';
+    }
+    body.appendChild(memberList);
+
+    content.appendChild(body);
+    box.appendChild(content);
+
+    const footer = document.createElement('div');
+    footer.className = 'cdp-box__footer';
+
+    const startGroupChatButton = document.createElement('button');
+    startGroupChatButton.id = 'cdp-start-group-chat';
+    startGroupChatButton.className = 'cdp-button cdp-button--primary';
+    startGroupChatButton.textContent = 'Start group chat';
+    startGroupChatButton.addEventListener('click', async (e) => {
+        e.stopPropagation();
+        closeBox();
+
+        try {
+            await openGroupById(group.id);
+            log(`Group chat opened: ${group.id}`);
+        } catch (error) {
+            console.error('[Character Details Popup] Unable to open group chat:', error);
+        }
+    });
+
+    const closeButton = document.createElement('button');
+    closeButton.id = 'cdp-close';
+    closeButton.className = 'cdp-button cdp-button--secondary';
+    closeButton.textContent = 'Close';
+
+    footer.appendChild(startGroupChatButton);
+    footer.appendChild(closeButton);
+    box.appendChild(footer);
+
+    overlay.appendChild(box);
+
+    return overlay;
+}
+
+/**
+ * Show a group in the popup
+ * @param {string} groupId - ID of the group
+ */
+function showGroupPopup(groupId) {
+    const group = groups.find(item => String(item.id) === String(groupId));
+
+    if (!group) {
+        console.error(`[Character Details Popup] Group not found for ID: ${groupId}`);
+        return;
+    }
+
+    // A character still loading must not replace the group once it arrives
+    if (activeRequest) {
+        activeRequest.abort();
+        activeRequest = null;
+    }
+
+    openBox(createGroupBox(group), null);
+    log(`Group shown: ${group.name}`);
+}
+
+/**
+ * Remember that a character was previewed
+ * @param {string} avatar - Avatar filename of the character
+ * @param {string} name - Character name, kept for entries whose character is gone
+ */
+function recordPreviewHistory(avatar, name) {
+    if (!avatar) return;
+
+    extensionSettings.previewHistory = [
+        { avatar, name, timestamp: Date.now() },
+        ...extensionSettings.previewHistory.filter(entry => entry.avatar !== avatar),
+    ].slice(0, maxPreviewHistory);
+
+    saveSettings();
+    renderHistoryUI();
+}
+
+/**
+ * Open the popup for a character from the history
+ * @param {string} avatar - Avatar filename of the character
+ */
+async function reopenFromHistory(avatar) {
+    if (getCharacterIdByAvatar(avatar) === -1) {
+        toastr.warning('This character no longer exists.');
+        return;
+    }
+
+    log(`Reopening from history: ${avatar}`);
+    await openPreview(avatar);
+}
+
+/**
+ * Create the button for one history entry
+ * @param {{avatar: string, name: string, timestamp: number}} entry - History entry
+ * @returns {HTMLElement} Entry button that reopens the character
+ */
+function createHistoryEntry(entry) {
+    const character = characters[getCharacterIdByAvatar(entry.avatar)];
+
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'cdp-history__entry';
+    button.classList.toggle('cdp-history__entry--missing', !character);
+
+    const img = document.createElement('img');
+    img.className = 'cdp-history__avatar';
+    img.src = getThumbnailUrl('avatar', entry.avatar);
+    img.alt = '';
+    img.loading = 'lazy';
+
+    const name = document.createElement('span');
+    name.className = 'cdp-history__name';
+    name.textContent = character?.name ?? entry.name ?? entry.avatar;
+
+    const time = document.createElement('span');
+    const moment = timestampToMoment(entry.timestamp);
+    time.className = 'cdp-history__time';
+    time.textContent = moment.isValid() ? moment.fromNow() : '';
+    time.title = moment.isValid() ? moment.toDate().toLocaleString() : '';
+
+    button.appendChild(img);
+    button.appendChild(name);
+    button.appendChild(time);
+    button.addEventListener('click', (e) => {
+        e.stopPropagation();
+        reopenFromHistory(entry.avatar);
+    });
+
+    return button;
+}
+
+/**
+ * Create the recently previewed dropdown for the popup header
+ * @param {string} avatar - Avatar of the character shown, left out of the list
+ * @returns {HTMLElement} Dropdown element
+ */
+function createHistoryDropdown(avatar) {
+    const container = document.createElement('div');
+    container.className = 'cdp-history';
+
+    const toggle = document.createElement('button');
+    toggle.type = 'button';
+    toggle.className = 'cdp-macro-toggle cdp-history-toggle';
+    toggle.title = 'Recently previewed';
+    toggle.innerHTML = '<i class="fa-solid fa-clock-rotate-left"></i>';
+
+    const menu = document.createElement('div');
+    menu.className = 'cdp-history__menu';
+    menu.hidden = true;
+
+    const closeMenu = () => {
+        menu.hidden = true;
+        document.removeEventListener('pointerdown', onPointerDown, true);
+        document.removeEventListener('keydown', onKeydown, true);
+    };
+
+    const onPointerDown = (e) => {
+        if (!container.contains(e.target)) {
+            closeMenu();
+        }
+    };
+
+    // Escape closes the menu first, the popup on the next press
+    const onKeydown = (e) => {
+        if (!container.isConnected) {
+            closeMenu();
+            return;
+        }
+
+        if (e.key === 'Escape' && !discardPromptOpen) {
+            e.preventDefault();
+            e.stopPropagation();
+            closeMenu();
+        }
+    };
+
+    toggle.addEventListener('click', (e) => {
+        e.stopPropagation();
+
+        if (!menu.hidden) {
+            closeMenu();
+            return;
+        }
+
+        const entries = extensionSettings.previewHistory.filter(entry => entry.avatar !== avatar);
+        menu.replaceChildren(...entries.map(createHistoryEntry));
+        if (entries.length === 0) {
+            menu.textContent = 'No other characters previewed yet.';
+        }
+        menu.hidden = false;
+        document.addEventListener('pointerdown', onPointerDown, true);
+        document.addEventListener('keydown', onKeydown, true);
+    });
+
+    container.appendChild(toggle);
+    container.appendChild(menu);
+
+    return container;
+}
+
+/**
+ * Render the history panel in the extension settings
+ */
+function renderHistoryUI() {
+    const container = $('#cdp-history-list');
+    if (!container.length) return;
+
+    container.empty();
+
+    if (extensionSettings.previewHistory.length === 0) {
+        container.append($('<div>').addClass('cdp-history__empty').text('No characters previewed yet.'));
+        return;
+    }
+
+    container.append(extensionSettings.previewHistory.map(createHistoryEntry));
+}
+
+/**
+ * Fetch a character and show it in the popup
+ * @param {number} characterId - The character ID to show
+ */
+async function showCharacterPopup(characterId) {
+    const character = characters[characterId];
+
+    if (!character) {
+        console.error(`[Character Details Popup] Character not found for ID: ${characterId}`);
+        return;
+    }
+
+    if (activeRequest) {
+        activeRequest.abort();
+    }
+
+    const controller = new AbortController();
+    activeRequest = controller;
+
+    // Skip the skeleton when the data is already cached
+    if (!characterCache.has(character.avatar)) {
+        openBox(createLoadingBox(character), characterId);
+    }
+
+    try {
+        log(`Fetching character data: ${character.avatar}`);
+        const fullCharacterData = await getCharacterData(character.avatar, controller.signal);
+
+        if (activeRequest !== controller) {
+            log(`Discarding stale response for ${character.avatar}`);
+            return;
+        }
+
+        log(`Character data loaded: ${fullCharacterData.name || character.name}`);
+
+        advanceCharacterStatus(character.avatar, 'previewed', ['unseen']);
+        recordPreviewHistory(character.avatar, fullCharacterData?.data?.name ?? character.name);
+
+        const box = createCharacterBox(fullCharacterData, character.avatar);
+        openBox(box, characterId);
+        eventSource.emit(previewEvents.OPENED, { avatar: character.avatar, characterId, card: fullCharacterData });
+    } catch (error) {
+        if (error.name === 'AbortError' || activeRequest !== controller) {
+            log(`Request for ${character.avatar} was cancelled`);
+            return;
+        }
+
+        console.error('[Character Details Popup] Failed to load character:', error);
+        openBox(createErrorBox(character, error, () => showCharacterPopup(characterId)), characterId);
+    } finally {
+        if (activeRequest === controller) {
+            activeRequest = null;
+        }
+    }
+}
+
+/**
+ * Setup click interception for character cards
+ */
+function setupCharacterClickInterception() {
+    const characterListContainer = document.getElementById('rm_print_characters_block');
+
+    if (!characterListContainer) {
+        console.error('[Character Details Popup] Character list container not found');
+        return;
+    }
+
+    characterListContainer.addEventListener('click', async function(event) {
+        const isBulkEditMode = characterListContainer.classList.contains('bulk_select');
+
+        if (isBulkEditMode) {
+            log('Bulk edit mode active');
+            return;
+        }
+
+        const groupCard = event.target.closest('.group_select[data-grid]');
+
+        if (groupCard) {
+            if (event.shiftKey) {
+                log('SHIFT+click - bypassing popup for group');
+                return;
+            }
+
+            event.preventDefault();
+            event.stopPropagation();
+
+            log(`Group clicked - ID: ${groupCard.getAttribute('data-grid')}`);
+            showGroupPopup(groupCard.getAttribute('data-grid'));
+            return;
+        }
+
+        const characterCard = event.target.closest('.character_select');
+
+        if (characterCard) {
+            const characterId = characterCard.getAttribute('data-chid');
+
+            if (characterId) {
+                if (event.shiftKey) {
+                    log(`SHIFT+click - bypassing popup for character ${characterId}`);
+                    return;
+                }
+
+                event.preventDefault();
+                event.stopPropagation();
+
+                log(`Character clicked - ID: ${characterId}`);
+
+                await showCharacterPopup(Number(characterId));
+            } else {
+                log('Character card clicked but no data-chid found');
+            }
+        }
+    }, true);
+
+    const prefetchFromEvent = function(event) {
+        if (!extensionSettings.prefetchOnHover) return;
+
+        const characterCard = event.target.closest('.character_select[data-chid]');
+        if (!characterCard) return;
+
+        const character = characters[Number(characterCard.getAttribute('data-chid'))];
+        if (!character || characterCache.has(character.avatar)) return;
+
+        // Short delay so sweeping the mouse across the list doesn't fire a request per card
+        clearTimeout(prefetchTimer);
+        prefetchTimer = setTimeout(() => {
+            log(`Prefetching: ${character.avatar}`);
+            getCharacterData(character.avatar).catch(() => {});
+        }, 150);
+    };
+
+    characterListContainer.addEventListener('mouseover', prefetchFromEvent);
+    characterListContainer.addEventListener('focusin', prefetchFromEvent);
+
+    log('Character click interception setup complete');
+}
+
+/**
+ * Find characters by avatar filename or name, falling back to fuzzy matching
+ * @param {string} query - Name or avatar filename to look for
+ * @returns {Array<{id: number, name: string, avatar: string}>} Matching characters, best first
+ */
+function findCharacters(query) {
+    const needle = query.trim().toLowerCase();
+    const entries = characters.map((character, id) => ({ id, name: character?.name ?? '', avatar: character?.avatar ?? '' }));
+
+    const exact = entries.filter(entry => entry.avatar.toLowerCase() === needle || entry.name.toLowerCase() === needle);
+    if (exact.length) {
+        return exact;
+    }
+
+    const fuse = new Fuse(entries, { keys: ['name', 'avatar'], threshold: 0.4, ignoreLocation: true });
+    return fuse.search(query.trim()).map(result => result.item);
+}
+
+/**
+ * Ask which of several matching characters to preview
+ * @param {Array<{id: number, name: string, avatar: string}>} candidates - Matching characters
+ * @param {string} query - What the user searched for
+ * @returns {Promise<number|null>} Chosen character ID, or null if cancelled
+ */
+async function chooseCharacter(candidates, query) {
+    const content = document.createElement('div');
+    content.className = 'cdp-choose';
+
+    const heading = document.createElement('h3');
+    heading.textContent = `Several characters match "${query}"`;
+    content.appendChild(heading);
+
+    const list = document.createElement('div');
+    list.className = 'cdp-choose__list';
+    content.appendChild(list);
+
+    let chosen = null;
+    const popup = new Popup(content, POPUP_TYPE.TEXT, '', { okButton: false, cancelButton: 'Cancel' });
+
+    for (const candidate of candidates.slice(0, maxPreviewCandidates)) {
+        const option = document.createElement('button');
+        option.type = 'button';
+        option.className = 'cdp-choose__option';
+
+        const img = document.createElement('img');
+        img.className = 'cdp-choose__avatar';
+        img.src = getThumbnailUrl('avatar', candidate.avatar);
+        img.alt = '';
+
+        const name = document.createElement('span');
+        name.className = 'cdp-choose__name';
+        name.textContent = candidate.name;
+
+        const file = document.createElement('span');
+        file.className = 'cdp-choose__file';
+        file.textContent = candidate.avatar;
+
+        option.appendChild(img);
+        option.appendChild(name);
+        option.appendChild(file);
+        option.addEventListener('click', () => {
+            chosen = candidate.id;
+            popup.complete(POPUP_RESULT.AFFIRMATIVE);
+        });
+
+        list.appendChild(option);
+    }
+
+    discardPromptOpen = true;
+    try {
+        await popup.show();
+    } finally {
+        discardPromptOpen = false;
+    }
+
+    return chosen;
+}
+
+/**
+ * Register the /preview slash commands
+ */
+function setupSlashCommands() {
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'preview',
+        callback: async (args, value) => {
+            const query = String(value ?? '').trim();
+            if (!query) {
+                toastr.warning('Enter a character name or avatar to preview.');
+                return '';
+            }
+
+            const matches = findCharacters(query);
+            if (matches.length === 0) {
+                toastr.warning(`No character matches "${query}".`);
+                return '';
+            }
+
+            const characterId = matches.length === 1 ? matches[0].id : await chooseCharacter(matches, query);
+            if (characterId === null) {
+                return '';
+            }
+
+            if (!await confirmDiscardChanges()) {
+                return currentAvatar ?? '';
+            }
+
+            await showCharacterPopup(characterId);
+            return currentAvatar ?? '';
         },
-        personality: {
-            label: 'Personality',
-            getContent: () => personality,
-            useMarkdown: false,
+        unnamedArgumentList: [
+            SlashCommandArgument.fromProps({
+                description: 'character name or avatar filename',
+                typeList: [ARGUMENT_TYPE.STRING],
+                isRequired: true,
+            }),
+        ],
+        returns: 'avatar filename of the previewed character, empty if none was opened',
+        helpString: `
+            <div>
+                Opens the character details popup. Matches the avatar filename or name exactly, otherwise fuzzily.
+                When several characters match, asks which one to show.
+            </div>
+            <div>
+                <strong>Example:</strong>
+                <pre><code class="language-stscript">/preview Seraphina</code></pre>
+            </div>
+        `,
+    }));
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'preview-close',
+        callback: async () => {
+            if (!currentBox) {
+                return '';
+            }
+
+            // Read before closing, closing resets the selection
+            const greetingIndex = String(selectedGreetingIndex);
+            if (!await requestCloseBox()) {
+                return '';
+            }
+
+            return greetingIndex;
         },
-        creatorNotes: {
-            label: 'Creator Notes',
-            getContent: () => creatorNotes,
-            useMarkdown: false,
+        returns: 'swipe index of the greeting selected in the popup (0 is the main first message), empty if no popup was open or closing was cancelled',
+        helpString: 'Closes the character details popup and returns the index of the greeting that was selected.',
+    }));
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'preview-next',
+        callback: async () => {
+            await navigateCharacter(1);
+            return currentAvatar ?? '';
         },
-        exampleMessages: {
-            label: 'Example Messages',
-            getContent: () => exampleMessages,
-            useMarkdown: false,
+        returns: 'avatar filename of the previewed character, empty if no popup is open',
+        helpString: 'Shows the next character of the list in the character details popup.',
+    }));
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'preview-prev',
+        callback: async () => {
+            await navigateCharacter(-1);
+            return currentAvatar ?? '';
         },
-    };
+        returns: 'avatar filename of the previewed character, empty if no popup is open',
+        helpString: 'Shows the previous character of the list in the character details popup.',
+    }));
 
-    // Build tabs dynamically based on tabConfig
-    const sortedTabs = Object.entries(extensionSettings.tabConfig)
-        .filter(([, cfg]) => cfg.visible)
-        .sort((a, b) => a[1].order - b[1].order);
+    log('Slash commands registered');
+}
 
-    log(`Building ${sortedTabs.length} visible tabs`);
+/**
+ * Add a config entry for a registered section or action, after the existing ones
+ * @param {Object} config - tabConfig or actionConfig
+ * @param {string} id - Section or action ID
+ * @param {Object} defaults - Settings of a new entry, without order
+ */
+function ensureConfigEntry(config, id, defaults) {
+    if (config[id]) {
+        return;
+    }
 
-    for (const [tabId, cfg] of sortedTabs) {
-        const def = tabDefinitions[tabId];
-        if (!def) {
-            log(`Unknown tab: ${tabId}`);
-            continue;
-        }
+    const maxOrder = Math.max(-1, ...Object.values(config).map(cfg => cfg.order));
+    config[id] = { ...defaults, order: maxOrder + 1 };
+}
 
-        if (def.isCustomBuilder) {
-            const section = def.builder(cfg.expanded);
-            if (section) {
-                body.appendChild(section);
-                log(`Added tab: ${tabId} (custom builder, expanded: ${cfg.expanded})`);
-            }
-        } else {
-            const content = def.getContent();
-            if (content && content.trim()) {
-                const section = createCollapsibleSection(def.label, content.trim(), cfg.expanded, def.useMarkdown);
-                body.appendChild(section);
-                log(`Added tab: ${tabId} (expanded: ${cfg.expanded})`);
-            }
-        }
+/**
+ * Make sure every section and action registered through the API has a config entry
+ */
+function addRegisteredConfigEntries() {
+    for (const sectionId of registeredSections.keys()) {
+        ensureConfigEntry(extensionSettings.tabConfig, sectionId, { visible: true, expanded: false });
     }
 
-    content.appendChild(body);
-    box.appendChild(content);
+    for (const actionId of registeredActions) {
+        ensureConfigEntry(extensionSettings.actionConfig, actionId, { visible: true });
+    }
+}
 
-    const footer = document.createElement('div');
-    footer.className = 'cdp-box__footer';
+/**
+ * Create the section for a tab registered by another extension
+ * @param {Object} section - Registered section ({ id, label, render })
+ * @param {Object} characterData - Full character object
+ * @param {string} avatar - Avatar filename of the character
+ * @param {boolean} expanded - Whether section is open by default
+ * @returns {HTMLElement|null} Details element or null if the section has nothing to show
+ */
+function createRegisteredSection(section, characterData, avatar, expanded) {
+    let result;
+    try {
+        result = section.render(characterData, avatar);
+    } catch (error) {
+        console.error(`[Character Details Popup] Section '${section.id}' failed to render:`, error);
+        return null;
+    }
 
-    const startChatButton = document.createElement('button');
-    startChatButton.id = 'cdp-start-chat';
-    startChatButton.className = 'cdp-button cdp-button--primary';
-    startChatButton.textContent = 'Start Chat';
+    if (result === null || result === undefined || result === '') {
+        return null;
+    }
 
-    const closeButton = document.createElement('button');
-    closeButton.id = 'cdp-close';
-    closeButton.className = 'cdp-button cdp-button--secondary';
-    closeButton.textContent = 'Close';
+    const details = document.createElement('details');
+    details.className = 'cdp-collapsible';
+    details.open = expanded;
 
-    footer.appendChild(startChatButton);
-    footer.appendChild(closeButton);
-    box.appendChild(footer);
+    const summary = document.createElement('summary');
+    summary.className = 'cdp-collapsible__summary';
+    summary.textContent = section.label;
 
-    overlay.appendChild(box);
+    const contentDiv = document.createElement('div');
+    contentDiv.className = 'cdp-collapsible__content';
 
-    return overlay;
+    const fill = (value) => {
+        if (value instanceof Node) {
+            contentDiv.replaceChildren(value);
+        } else if (value === null || value === undefined || value === '') {
+            details.remove();
+        } else {
+            contentDiv.classList.add('cdp-markdown-content');
+            setMarkdownContent(contentDiv, String(value));
+        }
+    };
+
+    if (typeof result.then === 'function') {
+        contentDiv.textContent = 'Loading...';
+        result.then(fill).catch(error => {
+            console.error(`[Character Details Popup] Section '${section.id}' failed to render:`, error);
+            contentDiv.textContent = 'This section failed to load.';
+        });
+    } else {
+        fill(result);
+    }
+
+    details.appendChild(summary);
+    details.appendChild(contentDiv);
+
+    return details;
 }
 
 /**
- * Setup click interception for character cards
+ * Check an ID passed to the API
+ * @param {string} id - Section or action ID
+ * @param {Object} taken - Existing entries keyed by ID
  */
-function setupCharacterClickInterception() {
-    const characterListContainer = document.getElementById('rm_print_characters_block');
-
-    if (!characterListContainer) {
-        console.error('[Character Details Popup] Character list container not found');
-        return;
+function validateRegisteredId(id, taken) {
+    if (typeof id !== 'string' || !id.trim()) {
+        throw new Error('[Character Details Popup] id must be a non-empty string');
     }
 
-    characterListContainer.addEventListener('click', async function(event) {
-        const isBulkEditMode = characterListContainer.classList.contains('bulk_select');
+    if (Object.hasOwn(taken, id)) {
+        throw new Error(`[Character Details Popup] '${id}' is already registered`);
+    }
+}
 
-        if (isBulkEditMode) {
-            log('Bulk edit mode active');
-            return;
-        }
+/**
+ * Add a section to the popup, shown and configured like the built-in tabs
+ * @param {Object} section - Section definition
+ * @param {string} section.id - Unique ID, kept in the tab configuration
+ * @param {string} section.label - Section header text
+ * @param {Function} section.render - Called with (card, avatar); returns an element, a markdown string, a promise of either, or null to hide the section
+ */
+function registerSection({ id, label, render }) {
+    validateRegisteredId(id, { ...tabLabels, ...Object.fromEntries(registeredSections) });
+    if (typeof render !== 'function') {
+        throw new Error(`[Character Details Popup] Section '${id}' needs a render function`);
+    }
 
-        const characterCard = event.target.closest('.character_select');
+    registeredSections.set(id, { id, label: label || id, render });
+    ensureConfigEntry(extensionSettings.tabConfig, id, { visible: true, expanded: false });
 
-        if (characterCard) {
-            const characterId = characterCard.getAttribute('data-chid');
+    if (document.getElementById('cdp-tab-config')) {
+        renderTabConfigUI();
+    }
 
-            if (characterId) {
-                if (event.shiftKey) {
-                    log(`SHIFT+click - bypassing popup for character ${characterId}`);
-                    return;
-                }
+    log(`Registered section: ${id}`);
+}
 
-                event.preventDefault();
-                event.stopPropagation();
+/**
+ * Add a button to the popup footer, shown and configured like the built-in actions
+ * @param {Object} action - Action definition
+ * @param {string} action.id - Unique ID, kept in the action configuration
+ * @param {string} action.label - Tooltip text
+ * @param {Function} action.onClick - Called with (card, avatar) when the button is clicked
+ * @param {string} [action.icon] - Font Awesome classes, e.g. 'fa-solid fa-chart-line'
+ */
+function registerAction({ id, label, onClick, icon }) {
+    validateRegisteredId(id, cardActions);
+    if (typeof onClick !== 'function') {
+        throw new Error(`[Character Details Popup] Action '${id}' needs an onClick function`);
+    }
 
-                log(`Character clicked - ID: ${characterId}`);
+    cardActions[id] = {
+        label: label || id,
+        icon: () => icon || 'fa-solid fa-puzzle-piece',
+        run: (characterData, avatar) => onClick(characterData, avatar),
+    };
+    registeredActions.add(id);
+    ensureConfigEntry(extensionSettings.actionConfig, id, { visible: true });
 
-                const character = characters[Number(characterId)];
+    if (document.getElementById('cdp-action-config')) {
+        renderActionConfigUI();
+    }
 
-                if (!character) {
-                    console.error(`[Character Details Popup] Character not found for ID: ${characterId}`);
-                    return;
-                }
+    log(`Registered action: ${id}`);
+}
 
-                try {
-                    log(`Fetching character data: ${character.avatar}`);
-                    const fullCharacterData = await fetchCharacterData(character.avatar);
+/**
+ * Open the popup for a character
+ * @param {string} avatar - Avatar filename of the character
+ * @returns {Promise<boolean>} True if the character was found
+ */
+async function openPreview(avatar) {
+    const characterId = getCharacterIdByAvatar(avatar);
+    if (characterId === -1) {
+        log(`open(): no character with avatar ${avatar}`);
+        return false;
+    }
 
-                    log(`Character data loaded: ${fullCharacterData.name || character.name}`);
+    if (!await confirmDiscardChanges()) {
+        return false;
+    }
 
-                    const box = createCharacterBox(fullCharacterData, character.avatar);
-                    openBox(box, Number(characterId));
-                } catch (error) {
-                    console.error('[Character Details Popup] Failed to load character:', error);
-                    alert('Failed to load character details. Please try again.');
-                }
-            } else {
-                log('Character card clicked but no data-chid found');
-            }
-        }
-    }, true);
+    await showCharacterPopup(characterId);
+    return true;
+}
 
-    log('Character click interception setup complete');
+/**
+ * Close the popup, asking first if it holds unsaved edits
+ * @returns {Promise<boolean>} True if the popup is closed
+ */
+async function closePreview() {
+    await requestCloseBox();
+    return !currentBox;
 }
 
+export {
+    openPreview as open,
+    closePreview as close,
+    registerSection,
+    registerAction,
+    previewEvents,
+};
+
 /**
  * Loads the extension settings from power_user
  */
@@ -665,8 +5423,36 @@ function loadSettings() {
             }
         }
 
+        if (!Array.isArray(extensionSettings.customTabs)) {
+            extensionSettings.customTabs = [];
+        }
+
+        if (!extensionSettings.characterNotes || typeof extensionSettings.characterNotes !== 'object') {
+            extensionSettings.characterNotes = {};
+        }
+
+        if (!Array.isArray(extensionSettings.previewHistory)) {
+            extensionSettings.previewHistory = [];
+        }
+
+        // Same for the footer actions
+        if (!extensionSettings.actionConfig) {
+            extensionSettings.actionConfig = JSON.parse(JSON.stringify(defaultActionConfig));
+            log('Initialized default actionConfig for existing user');
+        } else {
+            for (const [actionId, defaults] of Object.entries(defaultActionConfig)) {
+                if (!extensionSettings.actionConfig[actionId]) {
+                    extensionSettings.actionConfig[actionId] = { ...defaults };
+                    log(`Added missing action config: ${actionId}`);
+                }
+            }
+        }
+
         log('Settings loaded');
     }
+
+    // Extensions loaded before us register against the defaults, which were just replaced
+    addRegisteredConfigEntries();
 }
 
 /**
@@ -740,8 +5526,19 @@ function resetSettings() {
         useThemeFontColor: true,
         useThemeBackgroundColor: true,
         useAccordionFirstMessage: false,
+        expandMacros: true,
+        prefetchOnHover: false,
+        tokenBudget: 2000,
+        allowRemoteImages: false,
+        allowInlineStyles: false,
+        customTabs: [],
+        // Personal notes and history are data, not configuration, so a reset keeps them
+        characterNotes: extensionSettings.characterNotes,
+        previewHistory: extensionSettings.previewHistory,
         tabConfig: JSON.parse(JSON.stringify(defaultTabConfig)),
+        actionConfig: JSON.parse(JSON.stringify(defaultActionConfig)),
     };
+    addRegisteredConfigEntries();
     saveSettings();
     applySettings();
     updateSettingsUI();
@@ -756,36 +5553,150 @@ const tabLabels = {
     personality: 'Personality',
     creatorNotes: 'Creator Notes',
     exampleMessages: 'Example Messages',
+    lorebook: 'Lorebook',
+    chats: 'Chats',
+    metadata: 'Metadata',
+    systemPrompt: 'System Prompt',
+    postHistory: 'Post-History Instructions',
+    depthPrompt: 'Character Note (Depth Prompt)',
+    gallery: 'Gallery',
+    notes: 'My Notes',
 };
 
 /**
- * Swap tab order with adjacent tab
- * @param {string} tabId - Tab to move
+ * Get the display name of a tab, including custom and registered ones
+ * @param {string} tabId - Tab ID from the tab configuration
+ * @returns {string} Tab label
+ */
+function getTabLabel(tabId) {
+    return extensionSettings.customTabs.find(tab => tab.id === tabId)?.label
+        || registeredSections.get(tabId)?.label
+        || tabLabels[tabId]
+        || tabId;
+}
+
+// Renderers available for user-defined tabs
+const customTabRenderers = {
+    markdown: 'Markdown',
+    text: 'Plain text',
+    code: 'Code',
+};
+
+/**
+ * Swap the order of an entry with its neighbour in an ordered config
+ * @param {Object} config - Map of id to { order }
+ * @param {string} id - Entry to move
  * @param {number} direction - -1 for up, 1 for down
+ * @returns {boolean} True if the entry moved
  */
-function swapTabOrder(tabId, direction) {
-    const sorted = Object.entries(extensionSettings.tabConfig)
+function swapConfigOrder(config, id, direction) {
+    const sorted = Object.entries(config)
         .sort((a, b) => a[1].order - b[1].order);
 
-    const currentIndex = sorted.findIndex(([id]) => id === tabId);
+    const currentIndex = sorted.findIndex(([entryId]) => entryId === id);
     const targetIndex = currentIndex + direction;
 
     if (targetIndex < 0 || targetIndex >= sorted.length) {
-        return;
+        return false;
     }
 
-    const currentTab = sorted[currentIndex][0];
-    const targetTab = sorted[targetIndex][0];
+    const currentEntry = sorted[currentIndex][0];
+    const targetEntry = sorted[targetIndex][0];
+
+    const tempOrder = config[currentEntry].order;
+    config[currentEntry].order = config[targetEntry].order;
+    config[targetEntry].order = tempOrder;
+
+    return true;
+}
 
-    const tempOrder = extensionSettings.tabConfig[currentTab].order;
-    extensionSettings.tabConfig[currentTab].order = extensionSettings.tabConfig[targetTab].order;
-    extensionSettings.tabConfig[targetTab].order = tempOrder;
+/**
+ * Swap tab order with adjacent tab
+ * @param {string} tabId - Tab to move
+ * @param {number} direction - -1 for up, 1 for down
+ */
+function swapTabOrder(tabId, direction) {
+    if (!swapConfigOrder(extensionSettings.tabConfig, tabId, direction)) {
+        return;
+    }
 
     saveSettings();
     renderTabConfigUI();
     log(`Moved tab '${tabId}' ${direction === -1 ? 'up' : 'down'}`);
 }
 
+/**
+ * Swap action order with adjacent action
+ * @param {string} actionId - Action to move
+ * @param {number} direction - -1 for up, 1 for down
+ */
+function swapActionOrder(actionId, direction) {
+    if (!swapConfigOrder(extensionSettings.actionConfig, actionId, direction)) {
+        return;
+    }
+
+    saveSettings();
+    renderActionConfigUI();
+    log(`Moved action '${actionId}' ${direction === -1 ? 'up' : 'down'}`);
+}
+
+/**
+ * Render the footer action configuration UI
+ */
+function renderActionConfigUI() {
+    const container = $('#cdp-action-config');
+    if (!container.length) return;
+
+    container.empty();
+
+    const sorted = Object.entries(extensionSettings.actionConfig)
+        .sort((a, b) => a[1].order - b[1].order);
+
+    sorted.forEach(([actionId, cfg], index) => {
+        const isFirst = index === 0;
+        const isLast = index === sorted.length - 1;
+        const label = cardActions[actionId]?.label || actionId;
+
+        const row = $('<div>')
+            .addClass('cdp-tab-row')
+            .toggleClass('cdp-tab-row--hidden', !cfg.visible)
+            .attr('data-action-id', actionId);
+
+        const visBtn = $('<button>')
+            .addClass('cdp-tab-visibility')
+            .attr('type', 'button')
+            .attr('title', cfg.visible ? 'Hide action' : 'Show action')
+            .html(`<i class="fa-solid ${cfg.visible ? 'fa-eye' : 'fa-eye-slash'}"></i>`)
+            .on('click', function() {
+                extensionSettings.actionConfig[actionId].visible = !extensionSettings.actionConfig[actionId].visible;
+                saveSettings();
+                renderActionConfigUI();
+                log(`Action '${actionId}' visible: ${extensionSettings.actionConfig[actionId].visible}`);
+            });
+
+        const labelSpan = $('<span>').addClass('cdp-tab-label').text(label);
+
+        const upBtn = $('<button>')
+            .addClass('cdp-tab-move')
+            .attr('type', 'button')
+            .attr('title', 'Move up')
+            .prop('disabled', isFirst)
+            .text('↑')
+            .on('click', () => swapActionOrder(actionId, -1));
+
+        const downBtn = $('<button>')
+            .addClass('cdp-tab-move')
+            .attr('type', 'button')
+            .attr('title', 'Move down')
+            .prop('disabled', isLast)
+            .text('↓')
+            .on('click', () => swapActionOrder(actionId, 1));
+
+        row.append(visBtn, labelSpan, upBtn, downBtn);
+        container.append(row);
+    });
+}
+
 /**
  * Render the tab configuration UI
  */
@@ -801,11 +5712,13 @@ function renderTabConfigUI() {
     sorted.forEach(([tabId, cfg], index) => {
         const isFirst = index === 0;
         const isLast = index === sorted.length - 1;
-        const label = tabLabels[tabId] || tabId;
+        const customTab = extensionSettings.customTabs.find(tab => tab.id === tabId);
+        const label = getTabLabel(tabId);
 
         const row = $('<div>')
             .addClass('cdp-tab-row')
             .toggleClass('cdp-tab-row--hidden', !cfg.visible)
+            .toggleClass('cdp-tab-row--custom', Boolean(customTab))
             .attr('data-tab-id', tabId);
 
         // Visibility toggle
@@ -855,10 +5768,60 @@ function renderTabConfigUI() {
             .on('click', () => swapTabOrder(tabId, 1));
 
         row.append(visBtn, labelSpan, expandedLabel, upBtn, downBtn);
+
+        // User-defined tabs can be removed again
+        if (customTab) {
+            labelSpan.attr('title', `${customTab.path} (${customTabRenderers[customTab.renderer] ?? customTab.renderer})`);
+
+            const deleteBtn = $('<button>')
+                .addClass('cdp-tab-move')
+                .attr('type', 'button')
+                .attr('title', 'Remove custom tab')
+                .html('<i class="fa-solid fa-trash-can"></i>')
+                .on('click', () => removeCustomTab(tabId));
+            row.append(deleteBtn);
+        }
+
         container.append(row);
     });
 }
 
+/**
+ * Add a user-defined tab that shows a value from the card data
+ * @param {string} label - Tab label
+ * @param {string} path - Path into the card, e.g. data.extensions.depth_prompt.prompt
+ * @param {string} renderer - One of customTabRenderers
+ * @returns {boolean} True if the tab was added
+ */
+function addCustomTab(label, path, renderer) {
+    if (!label.trim() || !path.trim() || !customTabRenderers[renderer]) {
+        return false;
+    }
+
+    const id = `custom_${uuidv4()}`;
+
+    extensionSettings.customTabs.push({ id, label: label.trim(), path: path.trim(), renderer });
+    ensureConfigEntry(extensionSettings.tabConfig, id, { visible: true, expanded: false });
+
+    saveSettings();
+    renderTabConfigUI();
+    log(`Added custom tab '${label.trim()}' for ${path.trim()}`);
+    return true;
+}
+
+/**
+ * Remove a user-defined tab
+ * @param {string} tabId - ID of the custom tab
+ */
+function removeCustomTab(tabId) {
+    extensionSettings.customTabs = extensionSettings.customTabs.filter(tab => tab.id !== tabId);
+    delete extensionSettings.tabConfig[tabId];
+
+    saveSettings();
+    renderTabConfigUI();
+    log(`Removed custom tab ${tabId}`);
+}
+
 /**
  * Update the settings UI to reflect current values
  */
@@ -911,7 +5874,16 @@ function updateSettingsUI() {
 
     $('#cdp-accordion-first-message').prop('checked', extensionSettings.useAccordionFirstMessage);
 
+    $('#cdp-prefetch-on-hover').prop('checked', extensionSettings.prefetchOnHover);
+
+    $('#cdp-token-budget').val(extensionSettings.tokenBudget);
+
+    $('#cdp-allow-remote-images').prop('checked', extensionSettings.allowRemoteImages);
+    $('#cdp-allow-inline-styles').prop('checked', extensionSettings.allowInlineStyles);
+
     renderTabConfigUI();
+    renderActionConfigUI();
+    renderHistoryUI();
 }
 
 /**
@@ -1049,6 +6021,53 @@ async function addExtensionSettings() {
         log(`First message display mode: ${extensionSettings.useAccordionFirstMessage ? 'accordion' : 'swipe'}`);
     });
 
+    $('#cdp-custom-tab-add').on('click', function() {
+        const added = addCustomTab(
+            String($('#cdp-custom-tab-label').val()),
+            String($('#cdp-custom-tab-path').val()),
+            String($('#cdp-custom-tab-renderer').val()),
+        );
+
+        if (added) {
+            $('#cdp-custom-tab-label').val('');
+            $('#cdp-custom-tab-path').val('');
+        } else {
+            toastr.warning('Enter a label and a path for the custom tab.');
+        }
+    });
+
+    $('#cdp-token-budget').on('change', function() {
+        extensionSettings.tokenBudget = Math.max(0, Number($(this).val()) || 0);
+        $(this).val(extensionSettings.tokenBudget);
+        saveSettings();
+        log(`Token budget: ${extensionSettings.tokenBudget}`);
+    });
+
+    $('#cdp-prefetch-on-hover').on('change', function() {
+        extensionSettings.prefetchOnHover = $(this).prop('checked');
+        saveSettings();
+        log(`Prefetch on hover: ${extensionSettings.prefetchOnHover}`);
+    });
+
+    $('#cdp-allow-remote-images').on('change', function() {
+        extensionSettings.allowRemoteImages = $(this).prop('checked');
+        saveSettings();
+        log(`Remote images allowed: ${extensionSettings.allowRemoteImages}`);
+    });
+
+    $('#cdp-allow-inline-styles').on('change', function() {
+        extensionSettings.allowInlineStyles = $(this).prop('checked');
+        saveSettings();
+        log(`Inline styles allowed: ${extensionSettings.allowInlineStyles}`);
+    });
+
+    $('#cdp-clear-history').on('click', function() {
+        extensionSettings.previewHistory = [];
+        saveSettings();
+        renderHistoryUI();
+        log('Preview history cleared');
+    });
+
     $('#cdp-reset-settings').on('click', function() {
         resetSettings();
     });
@@ -1063,10 +6082,13 @@ async function init() {
     log('Initializing extension');
 
     await loadMarkedLibrary();
+    setupSlashCommands();
 
     eventSource.on(event_types.APP_READY, () => {
         log('Extension loaded');
         setupCharacterClickInterception();
+        setupCacheInvalidation();
+        setupNotesListFilter();
     });
 }
 